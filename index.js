@@ -6,7 +6,10 @@ module.exports = {
     DataContext: require("./src/datacontext.js"),
     Errors: require("./src/errors.js"),
     Check: require("./src/check.js"),
+    AppError: require("./src/apperror.js"),
     controller: require("./src/controller.jsx"),
     Command: require("./src/command.js"),
+    UndoManager: require("./src/undomanager.js"),
+    messages: require("./src/messages.js"),
     mixin: mixin
 };
\ No newline at end of file
@@ -1,14 +1,39 @@
 var sprintf = require('sprintf-js').sprintf;
+var _ = require('lodash');
+var messages = require('./messages.js');
 
+/**
+ * Error associated with a key (usually data context property name).
+ *
+ * Message text is resolved when error is converted to string. 'format' could be sprintf format
+ * or message code, when format is not given message registered for error 'code' is used.
+ * 'label' (string, message code or function) replace key in message text.
+ * 'severity' is one of AppError.ERROR, AppError.WARNING or AppError.INFO, only errors make data context invalid.
+ */
 class AppError {
 
-    constructor(key, format) {
+    constructor(key, format, code) {
         this.format = format;
         this.key = key != null ? key : "";
+        this.code = code;
+        this.severity = AppError.ERROR;
     }
 
     toString() {
-        return sprintf(this.format, this);
+        let format = this.format != null ? (messages.resolve(this.format) || this.format) : messages.resolve(this.code);
+        if (format == null) {
+            format = this.code != null ? String(this.code) : "";
+        }
+        let label = _.isFunction(this.label) ? this.label(this.key) : this.label;
+        if (label != null) {
+            label = messages.resolve(label) || label;
+        }
+        return sprintf(format, _.extend({}, this, {key: label != null ? label : this.key}));
     }
 }
-module.exports = AppError;
\ No newline at end of file
+
+AppError.ERROR = 'error';
+AppError.WARNING = 'warning';
+AppError.INFO = 'info';
+
+module.exports = AppError;
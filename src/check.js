@@ -1,40 +1,183 @@
 var AppError = require("./apperror.js");
+var messages = require("./messages.js");
 var _ = require("lodash");
 var URLRegex = /((([A-Za-z]{3,9}:(?:\/\/)?)(?:[-;:&=\+\$,\w]+@)?[A-Za-z0-9.-]+|(?:www.|[-;:&=\+\$,\w]+@)[A-Za-z0-9.-]+)((?:\/[\+~%\/.\w-_]*)?\??(?:[-\+=&;%@.\w_]*)#?(?:[\w]*))?)/;
 var EmailRegex = /^([\w-]+(?:\.[\w-]+)*)@((?:[\w-]+\.)*\w[\w-]{0,66})\.([a-z]{2,6}(?:\.[a-z]{2})?)$/i;
+var PhoneRegex = /^\+?[0-9\s\-().]{7,20}$/;
+var UUIDRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+var ISODateRegex = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+//English messages of built-in rules, keys are error codes
+var defaultMessages = {
+    notNull: "%(key)s should not be null",
+    isNull: "%(key)s should be null",
+    notEmpty: "%(key)s should not be empty",
+    email: "%(key)s is not valid email",
+    lessThan: "%(key)s %(actual)s should be less than %(expected)s",
+    lessEqThan: "%(key)s %(actual)s should be less than or equal to %(expected)s",
+    notLessThan: "%(key)s %(actual)s should not be less than %(expected)s",
+    moreThan: "%(key)s %(actual)s should be more than %(expected)s",
+    moreEqThan: "%(key)s %(actual)s should be more than or equal to %(expected)s",
+    equalTo: "%(key)s %(actual)s should be equal to %(expected)s",
+    toNumber: "%(actual)s is not a number",
+    toInteger: "%(actual)s is not an integer",
+    toBoolean: "%(actual)s is not a boolean",
+    isValidURL: "%(key)s is not valid URL",
+    toDate: "Value (%(actual)s) is not a date"
+};
+messages.register('en', defaultMessages);
 
 class Check {
 
-    constructor(errors, key, value) {
+    /**
+     * @param errors - Errors object to add errors to
+     * @param key
+     * @param value - value to check
+     * @param source - source of added errors, errors could be cleared by source
+     * @param context - object used as 'this' by 'when' predicates, usually data context
+     */
+    constructor(errors, key, value, source, context) {
         if (key == null) key = "";
         this._errors = errors;
         this._key = key;
         this._value = value;
+        this._source = source;
+        this._context = context;
     }
 
+    /**
+     * Add error for checked key.
+     * @param msg - sprintf format or message code, if not given then message is resolved by 'code' param
+     * @param params - message parameters
+     */
     fail(msg, params) {
-        return this._errors.add(_.extend(new AppError(this._key, msg), params));
+        let error = _.extend(new AppError(this._key, msg), this._params, params);
+        if (this._severity != null) {
+            error.severity = this._severity;
+        }
+        if (this._source != null) {
+            error.source = this._source;
+        }
+        return this._errors.add(error);
     }
 
-    failIf(msg, fn) {
-        var params;
-        if (this.isValid()) {
-            params = fn(this._value);
-            if (_.isObject(params)) {
-                this.fail(msg, params);
-            } else if (params) {
-                this.fail(msg);
-            }
+    /**
+     * Add error if 'fn' return true or an object with message parameters.
+     * @param msg - message format, if not given message is resolved by code
+     * @param fn
+     * @param code - error code
+     * @returns {Check}
+     */
+    failIf(msg, fn, code) {
+        if (!this._skipped && this.isValid()) {
+            this._failWith(msg, fn(this._value), code);
+        }
+        return this;
+    }
+
+    /**
+     * Same as failIf but 'fn' may return a promise. Key stay pending until promise is settled,
+     * result is discarded if key was cleared in the meantime (ex: value changed and was checked again).
+     * @param msg
+     * @param fn
+     * @param code
+     * @returns {Check}
+     */
+    failIfAsync(msg, fn, code) {
+        if (!this._skipped && this.isValid()) {
+            let promise = new Promise((resolve) => {
+                resolve(fn(this._value));
+            });
+            this._errors.track(this._key, promise, (params) => {
+                if (this.isValid()) {
+                    this._failWith(msg, params, code);
+                }
+            }, this._source);
+        }
+        return this;
+    }
+
+    _failWith(msg, params, code) {
+        if (_.isObject(params)) {
+            this.fail(msg, _.extend({code: code}, params));
+        } else if (params) {
+            this.fail(msg, {code: code});
+        }
+    }
+
+    /**
+     * Set severity of errors added by subsequent rules. Rules are not checked if key has errors,
+     * warnings and info messages does not stop rule chain.
+     * Ex: check.notEmpty().severity(AppError.WARNING).minLength(8, "%(key)s is weak")
+     * @param severity - one of AppError.ERROR, AppError.WARNING or AppError.INFO
+     * @returns {Check}
+     */
+    severity(severity) {
+        this._severity = severity;
+        return this;
+    }
+
+    /**
+     * Skip following rules if value is null, undefined, empty string or empty array.
+     * Ex: check.optional().email()
+     * @returns {Check}
+     */
+    optional() {
+        let v = this._value;
+        if (v == null || ((_.isString(v) || _.isArray(v)) && v.length == 0)) {
+            this._skipped = true;
+        }
+        return this;
+    }
+
+    /**
+     * Skip following rules unless predicate return true. Predicate receive checked value
+     * and is called with check context (data context for property rules) as 'this'.
+     * Ex: check.when(function () { return this.accountType === 'business'; }).notEmpty()
+     * @param predicate
+     * @returns {Check}
+     */
+    when(predicate) {
+        if (!predicate.call(this._context, this._value)) {
+            this._skipped = true;
         }
         return this;
     }
 
+    /**
+     * Apply rule chain to every item of checked array. Chain receive checker of the item,
+     * errors are added to the same key and have 'index' message parameter.
+     * Ex: check.each((item) => item.notEmpty("Line %(index)s should not be empty"))
+     * @param fn
+     * @returns {Check}
+     */
+    each(fn) {
+        if (!this._skipped && this.isValid() && _.isArray(this._value)) {
+            _.each(this._value, (item, index)=> {
+                let check = new Check(this._errors, this._key, item, this._source, this._context);
+                check._severity = this._severity;
+                check._params = _.extend({}, this._params, {index: index});
+                fn(check, index);
+                return this.isValid();
+            });
+        }
+        return this;
+    }
+
+    /**
+     * True if checked key has no errors added by this check source. Errors of other sources (ex: server errors)
+     * don't stop rules.
+     */
     isValid() {
-        return this._errors.isValid(this._key);
+        return this._errors.isValid(this._key, (source)=> source == this._source);
+    }
+
+    isPending() {
+        return this._errors.isPending(this._key);
     }
 
     value(v) {
-        if (v == null) {
+        if (arguments.length == 0) {
             return this._value;
         }
         return this._value = v;
@@ -44,22 +187,45 @@ class Check {
         return this._key;
     }
 
+    /**
+     * Apply rules declared as an object. Keys are names of rule methods, values are their arguments.
+     * Ex: check.rules({notEmpty: true, moreEqThan: 0, lessThan: [10, "%(key)s is too big"]})
+     * true means "call without arguments", array is spread into arguments, false or null skip the rule.
+     * Since rules are applied in order 'severity' could be used to turn following rules into warnings:
+     * check.rules({notEmpty: true, severity: 'warning', minLength: 8})
+     * Note that rule which take an array argument should be wrapped into another array: {oneOf: [['a', 'b']]}
+     * @param rules
+     * @returns {Check}
+     */
+    rules(rules) {
+        _.forOwn(rules, (args, rule) => {
+            if (!_.isFunction(this[rule])) {
+                throw new Error("Unknown validation rule '" + rule + "'");
+            }
+            if (args === true) {
+                this[rule]();
+            } else if (_.isArray(args)) {
+                this[rule](...args);
+            } else if (args != null && args !== false) {
+                this[rule](args);
+            }
+        });
+        return this;
+    }
+
     notNull(msg) {
-        if (msg == null) msg = "%(key)s should not be null";
         return this.failIf(msg, function (v) {
             return v == null;
-        });
+        }, 'notNull');
     }
 
     isNull(msg) {
-        if (msg == null) msg = "%(key)s should be null";
         return this.failIf(msg, function (v) {
             return v != null;
-        });
+        }, 'isNull');
     }
 
     notEmpty(msg) {
-        if (msg == null) msg = "%(key)s should not be empty";
         return this.failIf(msg, function (v) {
             if (_.isNull(v) || _.isUndefined(v) || _.isNaN(v)) {
                 return true;
@@ -70,18 +236,16 @@ class Check {
             } else {
                 return false;
             }
-        });
+        }, 'notEmpty');
     }
 
     email(msg) {
-        if (msg == null) msg = "%(key)s is not valid email";
         return this.failIf(msg, function (v) {
             return !EmailRegex.test(v);
-        });
+        }, 'email');
     }
 
     lessThan(expected, msg) {
-        if (msg == null) msg = "%(key)s %(actual)s should not be less than %(expected)s";
         return this.failIf(msg, function (v) {
             if (!(v < expected)) {
                 return {
@@ -89,11 +253,10 @@ class Check {
                     actual: v
                 };
             }
-        });
+        }, 'lessThan');
     }
 
     lessEqThan(expected, msg) {
-        if (msg == null) msg = "%(key)s %(actual)s should not be less or equal to %(expected)s";
         return this.failIf(msg, function (v) {
             if (!(v <= expected)) {
                 return {
@@ -101,11 +264,10 @@ class Check {
                     actual: v
                 };
             }
-        });
+        }, 'lessEqThan');
     }
 
     notLessThan(expected, msg) {
-        if (msg == null) msg = "%(key)s %(actual)s should not be less than %(expected)s";
         return this.failIf(msg, function (v) {
             if (v < expected) {
                 return {
@@ -113,12 +275,11 @@ class Check {
                     actual: v
                 };
             }
-        });
+        }, 'notLessThan');
     }
 
 
     moreThan(expected, msg) {
-        if (msg == null) msg = "%(key)s %(actual)s should not be more than %(expected)s";
         return this.failIf(msg, function (v) {
             if (!(v > expected)) {
                 return {
@@ -126,11 +287,10 @@ class Check {
                     actual: v
                 };
             }
-        });
+        }, 'moreThan');
     }
 
     moreEqThan(expected, msg) {
-        if (msg == null) msg = "%(key)s %(actual)s should not be more or equal to %(expected)s";
         return this.failIf(msg, function (v) {
             if (!(v >= expected)) {
                 return {
@@ -138,11 +298,10 @@ class Check {
                     actual: v
                 };
             }
-        });
+        }, 'moreEqThan');
     }
 
     equalTo(expected, msg) {
-        if (msg == null) msg = "%(key)s %(actual)s should not be equal to %(expected)s";
         return this.failIf(msg, function (v) {
             if (v !== expected) {
                 return {
@@ -150,11 +309,10 @@ class Check {
                     actual: v
                 };
             }
-        });
+        }, 'equalTo');
     }
 
     toNumber(msg) {
-        if (msg == null) msg = "%(actual)s is not an integer";
         return this.failIf(msg, (v)=> {
             var val = this._value = parseFloat(v);
             if (!_.isFinite(val)) {
@@ -162,20 +320,42 @@ class Check {
                     actual: v
                 };
             }
-        });
+        }, 'toNumber');
+    }
+
+    toInteger(msg) {
+        return this.failIf(msg, (v)=> {
+            var val = this._value = parseFloat(v);
+            if (!_.isFinite(val) || val % 1 !== 0) {
+                return {
+                    actual: v
+                };
+            }
+        }, 'toInteger');
+    }
+
+    toBoolean(msg) {
+        return this.failIf(msg, (v)=> {
+            var text = String(v).toLowerCase();
+            if (_.includes(["true", "1", "yes", "on"], text)) {
+                this._value = true;
+            } else if (_.includes(["false", "0", "no", "off"], text)) {
+                this._value = false;
+            } else {
+                return {
+                    actual: v
+                };
+            }
+        }, 'toBoolean');
     }
 
     isValidURL(msg) {
-        if (msg == null) msg = "%(key)s is not valid URL";
         return this.failIf(msg, function (v) {
             return !URLRegex.test(v);
-        });
+        }, 'isValidURL');
     }
 
     toDate(msg) {
-        if (msg == null) {
-            msg = "Value (%(actual)s) is not a date";
-        }
         return this.failIf(msg, (v)=> {
             var parsed;
             if (!(v instanceof Date)) {
@@ -188,7 +368,116 @@ class Check {
                     };
                 }
             }
-        });
+        }, 'toDate');
     }
 }
+
+/**
+ * Register validation rule which become chainable Check method with the same name.
+ * 'fn' receive checked value and rule arguments and return true or an object with message parameters
+ * when value is invalid. Value is available to messages as 'actual'.
+ * Generated method accept rule arguments followed by optional message. String argument following
+ * required rule arguments is a message, ex:
+ * <code>
+ * Check.rule('divisibleBy', (v, n) => v % n !== 0 && {divisor: n}, "%(key)s should be divisible by %(divisor)s");
+ * check.divisibleBy(3);
+ * check.divisibleBy(3, "Custom message");
+ * </code>
+ * Rule could not replace other Check methods, but rules could be registered again.
+ * @param name - rule name and error code
+ * @param fn
+ * @param defaultMsg - English message, other locales could be registered in messages catalog
+ * @param arity - number of required rule arguments, fn.length - 1 by default
+ */
+Check.rule = function (name, fn, defaultMsg, arity) {
+    if (name in Check.prototype && !registeredRules[name]) {
+        throw new Error("Check method '" + name + "' could not be replaced by a rule");
+    }
+    registeredRules[name] = true;
+    if (arity == null) {
+        arity = Math.max(fn.length - 1, 0);
+    }
+    if (defaultMsg != null) {
+        messages.register('en', {[name]: defaultMsg});
+    }
+    Check.prototype[name] = function (...args) {
+        let msg = args.length > arity && _.isString(_.last(args)) ? args.pop() : undefined;
+        return this.failIf(msg, (v)=> {
+            let result = fn.call(this, v, ...args);
+            if (_.isObject(result)) {
+                return _.extend({actual: v}, result);
+            } else if (result) {
+                return {actual: v};
+            }
+        }, name);
+    };
+};
+
+//names of methods generated by Check.rule
+var registeredRules = {};
+
+var length = function (v) {
+    return v != null && v.length != null ? v.length : 0;
+};
+
+var time = function (v) {
+    return v instanceof Date ? v.getTime() : Date.parse(v);
+};
+
+Check.rule('minLength', (v, min)=> length(v) < min && {min: min, length: length(v)},
+    "%(key)s should be at least %(min)s characters long");
+
+Check.rule('maxLength', (v, max)=> length(v) > max && {max: max, length: length(v)},
+    "%(key)s should be at most %(max)s characters long");
+
+//pattern is RegExp or string source of RegExp
+Check.rule('matches', (v, pattern)=> {
+    if (_.isString(pattern)) {
+        pattern = new RegExp(pattern);
+    } else if (!_.isRegExp(pattern)) {
+        throw new TypeError("Check.matches pattern should be RegExp or string");
+    }
+    return !pattern.test(v == null ? "" : String(v)) && {pattern: String(pattern)};
+}, "%(key)s has invalid format");
+
+Check.rule('oneOf', (v, list)=> !_.includes(list, v) && {expected: list.join(", ")},
+    "%(key)s should be one of %(expected)s");
+
+Check.rule('between', (v, min, max)=> !(v >= min && v <= max) && {min: min, max: max},
+    "%(key)s %(actual)s should be between %(min)s and %(max)s");
+
+Check.rule('integer', (v)=> {
+    let number = _.isString(v) && v !== "" ? Number(v) : v;
+    return !_.isNumber(number) || !_.isFinite(number) || number % 1 !== 0;
+}, "%(key)s should be an integer");
+
+Check.rule('phone', (v)=> !PhoneRegex.test(v) || String(v).replace(/\D/g, "").length < 7,
+    "%(key)s is not valid phone number");
+
+Check.rule('uuid', (v)=> !UUIDRegex.test(v), "%(key)s is not valid UUID");
+
+Check.rule('isoDate', (v)=> !ISODateRegex.test(v) || isNaN(Date.parse(v)),
+    "%(key)s is not valid ISO 8601 date");
+
+Check.rule('before', (v, date)=> !(time(v) < time(date)) && {expected: date},
+    "%(key)s should be before %(expected)s");
+
+Check.rule('after', (v, date)=> !(time(v) > time(date)) && {expected: date},
+    "%(key)s should be after %(expected)s");
+
+Check.rule('minItems', (v, min)=> length(v) < min && {min: min, count: length(v)},
+    "%(key)s should have at least %(min)s items");
+
+Check.rule('maxItems', (v, max)=> length(v) > max && {max: max, count: length(v)},
+    "%(key)s should have at most %(max)s items");
+
+//iteratee (function or property name) is optional, items are compared if it is null: check.unique(null, msg)
+Check.rule('unique', (v, iteratee)=> {
+    //collections are supported as well
+    let items = _.isArray(v) ? v : (v != null && _.isArray(v.items) ? v.items : []);
+    let keys = iteratee != null ? _.map(items, iteratee) : items;
+    let duplicates = _.uniq(_.filter(keys, (key, index)=> _.indexOf(keys, key) !== index));
+    return duplicates.length > 0 && {duplicates: duplicates.join(", ")};
+}, "%(key)s should not contain duplicates (%(duplicates)s)");
+
 module.exports = Check;
\ No newline at end of file
@@ -0,0 +1,235 @@
+var _ = require('lodash');
+var EventEmitter = require('micro-events');
+var dependencies = require("./dependencies.js");
+
+/**
+ * Observable list of child data contexts. Used as a value of 'collection' data context properties.
+ *
+ * Fire 'itemAdded' (item, index), 'itemRemoved' (item, index), 'itemMoved' (item, from, to),
+ * 'itemReplaced' (item, index, oldItem) and 'reset' events. Every modification also fire 'change' event.
+ * Inside batch of owner data context events are postponed and single 'change' event is fired when batch is finished.
+ * 'dirty' event is fired when dirty state of any item is changed.
+ */
+var checkIndex = function (index, length) {
+    if (!_.isNumber(index) || index % 1 !== 0 || index < 0 || index >= length) {
+        throw new RangeError("Collection index " + index + " is out of range");
+    }
+};
+
+class Collection extends EventEmitter {
+
+    /**
+     * @param itemType - data context constructor used to create items from plain objects
+     * @param owner - data context which hold this collection
+     * @param definition - collection property definition
+     * @param name - collection property name
+     */
+    constructor(itemType, owner, definition, name) {
+        super();
+        //collection is listened by views, commands, computed properties and validators
+        this.maxListeners = Infinity;
+        this._itemType = itemType;
+        this._owner = owner;
+        this._definition = definition;
+        this._name = name;
+        this._items = [];
+        this._batchDepth = 0;
+        this._batchEvents = null;
+        this._onItemDirty = ()=> {
+            this.emit('dirty');
+        };
+    }
+
+    get items() {
+        dependencies.record(this, 'change');
+        return _.clone(this._items);
+    }
+
+    get length() {
+        dependencies.record(this, 'change');
+        return this._items.length;
+    }
+
+    at(index) {
+        dependencies.record(this, 'change');
+        return this._items[index];
+    }
+
+    indexOf(item) {
+        dependencies.record(this, 'change');
+        return _.indexOf(this._items, item);
+    }
+
+    /**
+     * Create collection item. If data is already an item it is returned as is, otherwise
+     * new item is created and filled with data.
+     * @param data
+     */
+    create(data) {
+        if (data instanceof this._itemType) {
+            return data;
+        }
+        let item = new this._itemType(this._owner, this._definition, this._name);
+        item.putAll(data);
+        return item;
+    }
+
+    /**
+     * Add item to collection. If index is not given item is added to the end.
+     * @param item - item or plain object to create item from
+     * @param index
+     * @returns {*} added item
+     */
+    add(item, index) {
+        if (index == null) index = this._items.length;
+        checkIndex(index, this._items.length + 1);
+        item = this._attach(this.create(item));
+        this._items.splice(index, 0, item);
+        this._emit('itemAdded', item, index);
+        this._emit('change');
+        return item;
+    }
+
+    remove(item) {
+        let index = _.indexOf(this._items, item);
+        if (index >= 0) {
+            this.removeAt(index);
+        }
+        return index >= 0;
+    }
+
+    removeAt(index) {
+        checkIndex(index, this._items.length);
+        let item = this._detach(this._items.splice(index, 1)[0]);
+        this._emit('itemRemoved', item, index);
+        this._emit('change');
+        return item;
+    }
+
+    move(from, to) {
+        checkIndex(from, this._items.length);
+        checkIndex(to, this._items.length);
+        let item = this._items.splice(from, 1)[0];
+        this._items.splice(to, 0, item);
+        this._emit('itemMoved', item, from, to);
+        this._emit('change');
+        return item;
+    }
+
+    replace(index, item) {
+        checkIndex(index, this._items.length);
+        item = this._attach(this.create(item));
+        let oldItem = this._detach(this._items[index]);
+        this._items[index] = item;
+        this._emit('itemReplaced', item, index, oldItem);
+        this._emit('change');
+        return item;
+    }
+
+    /**
+     * Replace all items in collection.
+     * @param items - array of items or plain objects
+     */
+    reset(items) {
+        _.each(this._items, (item)=> this._detach(item));
+        this._items = _.map(items, (item)=> this._attach(this.create(item)));
+        this._emit('reset');
+        this._emit('change');
+    }
+
+    clear() {
+        this.reset([]);
+    }
+
+    toJSON() {
+        return _.invoke(this._items, 'toJSON');
+    }
+
+    /**
+     * Replace all items with new ones created from serialized data.
+     * @param data - array produced by 'toJSON'
+     */
+    fromJSON(data) {
+        this.reset(_.map(data, (itemData)=> this.create().fromJSON(itemData)));
+    }
+
+    _attach(item) {
+        item.on('dirty', this._onItemDirty);
+        return item;
+    }
+
+    _detach(item) {
+        item.off('dirty', this._onItemDirty);
+        return item;
+    }
+
+    _emit(event, ...args) {
+        if (this._batchDepth > 0) {
+            if (event !== 'change') {
+                this._batchEvents.push([event, ...args]);
+            }
+            this._batchChanged = true;
+        } else {
+            this.emit(event, ...args);
+        }
+    }
+
+    _beginBatch() {
+        if (this._batchDepth++ == 0) {
+            this._batchEvents = [];
+            this._batchChanged = false;
+        }
+    }
+
+    _endBatch() {
+        if (--this._batchDepth == 0) {
+            let events = this._batchEvents;
+            let changed = this._batchChanged;
+            this._batchEvents = null;
+            _.each(events, (args)=> {
+                this.emit(...args);
+            });
+            if (changed) {
+                this.emit('change');
+            }
+        }
+    }
+
+    map(fn) {
+        return _.map(this.items, fn);
+    }
+
+    forEach(fn) {
+        _.each(this.items, fn);
+    }
+
+    isValid(options) {
+        dependencies.record(this, 'change');
+        return _.every(this._items, (item)=> item.isValid(options));
+    }
+
+    validate(group) {
+        //validate every item even if some of them are invalid to show all errors
+        return _.reduce(this._items, (valid, item)=> item.validate(group) && valid, true);
+    }
+
+    clearErrors(options) {
+        _.each(this._items, (item)=> {
+            item.clearErrors(options);
+        });
+    }
+
+    clearServerErrors() {
+        _.invoke(this._items, 'clearServerErrors');
+    }
+
+    isPending() {
+        return _.some(this._items, (item)=> item.isPending());
+    }
+
+    settled() {
+        return Promise.all(_.invoke(this._items, 'settled'));
+    }
+}
+
+module.exports = Collection;
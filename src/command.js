@@ -3,9 +3,32 @@
 //http://stackoverflow.com/questions/30110437/leading-underscore-transpiled-wrong-with-es6-classes
 
 var _ = require("lodash");
-var $ = require("jquery");
 var EventEmitter = require('micro-events');
 
+/**
+ * Command wraps an action (execute function) together with condition when it could be executed (canExecute).
+ *
+ * Action is called with command arguments followed by options object {signal, progress} where signal is
+ * an AbortSignal triggered by 'abort' and progress(fraction, message) is a function reporting execution progress.
+ * Action may return a value, a promise or any thenable (ex: jqXHR), 'execute' return native Promise settled with
+ * action result. Progress notifications of jQuery Deferred are reported as well.
+ * 'execute' event is fired with 'started' state, 'invoked' state when action returned (synchronous part of
+ * action is complete) and 'finished' state, 'progress' event is fired with fraction and message.
+ *
+ * Outcome of last execution is kept in 'status' (idle, running, succeeded, failed, aborted or cancelled),
+ * 'lastResult', 'error', 'startedAt' and 'finishedAt'. 'succeeded' (result) or 'failed' (error) event is fired
+ * when execution is finished, 'change' event is fired whenever any of these fields is changed.
+ * Action returning Command.CANCELLED (ex: declined confirmation) finish execution with 'cancelled' status.
+ *
+ * Other config properties are plugins from Command.ext (debounce, throttle, once, confirm, timeout, retry,
+ * concurrency). Plugins are applied in Command.extOrder regardless of config properties order.
+ * Ex:
+ * <code>
+ * new Command({
+ *   execute(id, {signal}) { return fetch('/items/' + id, {signal}); }
+ * });
+ * </code>
+ */
 class Command extends EventEmitter {
 
     constructor(config, context) {
@@ -15,18 +38,27 @@ class Command extends EventEmitter {
         }
         this.action = config.execute;
         this._context = context || null;
-        this._isRunning = false;
+        this._runs = [];
+        this._queue = [];
+        this._isAborted = false;
+        this._status = 'idle';
+        this._lastResult = undefined;
+        this._error = null;
+        this._startedAt = null;
+        this._finishedAt = null;
+        this._progress = null;
         if (config.canExecute != null) {
             this.condition = config.canExecute;
         } else {
-            this.condition = function () {
-                return !this._isRunning;
+            this.condition = ()=> {
+                return !this.isRunning;
             }
         }
         let plugins = _.omit(config, ["canExecute", "execute"]);
-        _.forOwn(plugins, (value, key) => {
+        let keys = _.union(_.filter(Command.extOrder, (key)=> plugins.hasOwnProperty(key)), _.keys(plugins));
+        _.each(keys, (key) => {
             if (Command.ext[key]) {
-                Command.ext[key](this, value, config);
+                Command.ext[key](this, plugins[key], config);
             }
         });        
     }
@@ -53,59 +85,98 @@ class Command extends EventEmitter {
         this._canExecute = value;
     }
 
-    execute() {
-        if (this.canExecute.apply(this, arguments)) {
-            this._isRunning = true;
-            this.notifyCanExecute();
-            this.emit('execute', 'started');
+    execute(...args) {
+        if (this.canExecute(...args)) {
+            return this._start(args);
+        } else {
+            throw new Error("Cannot execute this command now");
+        }
+    }
 
+    _start(args) {
+        let run = {controller: new AbortController()};
+        this._runs.push(run);
+        this._isAborted = false;
+        this._status = 'running';
+        this._error = null;
+        this._startedAt = new Date();
+        this._finishedAt = null;
+        this._progress = null;
+        this.notifyCanExecute();
+        this.emit('execute', 'started');
+        this.emit('change');
+
+        let signal = run.controller.signal;
+        let progress = (fraction, message)=> {
+            this._reportProgress(run, fraction, message);
+        };
+        let result = new Promise((resolve) => {
             try {
-                var result = this.action.apply(this.context, arguments);
-                if (result && _.isFunction(result.always)) {
-                    this._promise = result;
-                } else {
-                    this._promise = $.Deferred().resolve(result).promise();
-                }
-            } catch (e) {
-                this._promise = $.Deferred().reject(e, "error", e.message).promise();
-                console.warn('Command action failed with exception', e);
-                console.warn(e.stack); //when I print it like this Chrome display stack trace based on source maps
+                run.result = this.action.apply(this.context, [...args, {signal: signal, progress: progress}]);
+            } finally {
+                this.emit('execute', 'invoked');
             }
-            if (this._promise.state() === "pending") {
-                this._promise.always(() => {
-                    this._finishExecute();
-                });
+            //jQuery Deferred notifications
+            if (run.result && _.isFunction(run.result.then) && _.isFunction(run.result.progress)) {
+                run.result.progress(progress);
+            }
+            resolve(run.result);
+        });
+        let aborted = new Promise((resolve, reject) => {
+            signal.addEventListener('abort', ()=> {
+                reject(abortError());
+            });
+        });
+        let promise = run.promise = Promise.race([result, aborted]);
+        promise.then((value)=> {
+            this._finishExecute(run, value === Command.CANCELLED ? 'cancelled' : 'succeeded', value);
+        }, (e)=> {
+            //action could be aborted by itself, ex: child of composite command
+            if (signal.aborted || (e && e.name === 'AbortError')) {
+                this._isAborted = true;
+                this._finishExecute(run, 'aborted');
             } else {
-                //don't run finish events synchronously
-                setTimeout(() => {
-                    this._finishExecute();
-                });
+                console.warn('Command action failed', e);
+                if (e && e.stack) console.warn(e.stack); //when I print it like this Chrome display stack trace based on source maps
+                this._finishExecute(run, 'failed', e);
             }
-
-            return this._promise;
-        } else {
-            throw new Error("Cannot execute this command now");
-        }
+        });
+        return promise;
     }
 
-    _finishExecute() {
-        this._promise = null;
-        this._isRunning = false;
+    _finishExecute(run, status, value) {
+        _.pull(this._runs, run);
+        if (status === 'succeeded') {
+            this._lastResult = value;
+        } else if (status === 'failed') {
+            this._error = value;
+        }
+        //status is 'running' until every concurrent execution is finished
+        if (!this.isRunning) {
+            this._status = status;
+            this._finishedAt = new Date();
+        }
         this.notifyCanExecute();
+        if (status === 'succeeded' || status === 'failed') {
+            this.emit(status, value);
+        }
         this.emit('execute', 'finished');
+        this.emit('change');
+    }
+
+    _reportProgress(run, fraction, message) {
+        if (_.includes(this._runs, run)) {
+            this._progress = {fraction: fraction, message: message};
+            this.emit('progress', fraction, message);
+            this.emit('change');
+        }
     }
 
-    tryExecute() {        
-        var canExecute = this.canExecute.apply(this, arguments);
-        if (canExecute) {
-            return this.execute.apply(this, arguments);
+    tryExecute(...args) {
+        if (this.canExecute(...args)) {
+            return this.execute(...args);
         } else {
-            var result = $.Deferred();
-            //don't run finish events synchronously
-            setTimeout(()=>{
-                result.reject();
-            });
-            return result.promise();
+            return rejected(new Error("Cannot execute this command now"));
         }
     }
 
@@ -117,19 +188,114 @@ class Command extends EventEmitter {
         return this.condition.apply(this._context, arguments);
     }
 
+    /**
+     * Abort all running executions and drop queued ones. Action signal is triggered, thenables having 'abort'
+     * method (ex: jqXHR) are aborted as well, promises returned by 'execute' are rejected with AbortError.
+     * @returns {Promise} promise of last aborted execution
+     */
     abort() {
-        if (this._promise && this.promise.abort) {
-            this._promise.abort();
+        let promise = this.promise;
+        let runs = _.filter(this._runs, (run)=> !run.controller.signal.aborted);
+        let queue = this._queue;
+        if (runs.length > 0 || queue.length > 0) {
+            this._isAborted = true;
+            this._queue = [];
+            _.each(queue, (entry)=> {
+                entry.reject(abortError());
+            });
+            _.each(runs, (run)=> {
+                if (run.result && _.isFunction(run.result.abort)) {
+                    run.result.abort();
+                }
+                run.controller.abort();
+            });
+            if (queue.length > 0) {
+                this.notifyCanExecute();
+            }
         }
-        return this._promise;
+        return promise;
     }
 
     get isRunning() {
-        return this._isRunning;
+        return this._runs.length > 0;
+    }
+
+    /**
+     * Number of executions running at the moment.
+     */
+    get runningCount() {
+        return this._runs.length;
+    }
+
+    /**
+     * Number of executions waiting for running ones to finish (see 'queue' concurrency policy).
+     */
+    get queueLength() {
+        return this._queue.length;
+    }
+
+    /**
+     * Forget error of last failed execution.
+     */
+    clearError() {
+        if (this._error != null) {
+            this._error = null;
+            if (this._status === 'failed') {
+                this._status = 'idle';
+            }
+            this.emit('change');
+        }
     }
 
+    /**
+     * True if last execution was aborted.
+     */
+    get isAborted() {
+        return this._isAborted;
+    }
+
+    /**
+     * Execution status: idle, running, succeeded, failed, aborted or cancelled.
+     */
+    get status() {
+        return this._status;
+    }
+
+    /**
+     * Result of last successful execution.
+     */
+    get lastResult() {
+        return this._lastResult;
+    }
+
+    /**
+     * Error of last failed execution or null.
+     */
+    get error() {
+        return this._error;
+    }
+
+    /**
+     * Last progress reported by running action: {fraction, message} or null.
+     */
+    get progress() {
+        return this._progress;
+    }
+
+    get startedAt() {
+        return this._startedAt;
+    }
+
+    get finishedAt() {
+        return this._finishedAt;
+    }
+
+    /**
+     * Promise of last started execution which is still running.
+     */
     get promise() {
-        return this._promise;
+        let run = _.last(this._runs);
+        return run != null ? run.promise : null;
     }
 
     get context() {
@@ -141,63 +307,301 @@ class Command extends EventEmitter {
     }
 }
 
+var abortError = function () {
+    let error = new Error("Command is aborted");
+    error.name = "AbortError";
+    return error;
+};
+
+var rejected = function (error) {
+    let result = Promise.reject(error);
+    //rejection is expected here, don't report it as unhandled
+    result.catch(_.noop);
+    return result;
+};
+
+var delay = function (ms, signal) {
+    return new Promise((resolve, reject) => {
+        let timeout = setTimeout(resolve, ms);
+        signal.addEventListener('abort', ()=> {
+            clearTimeout(timeout);
+            reject(abortError());
+        });
+    });
+};
+
+var isThenable = function (result) {
+    return result != null && _.isFunction(result.then);
+};
+
 Command.ext = {
-    debounce: function (command, config) {
+    debounce: function (command, config, commandConfig) {
         var originalAction = command.action;
+        var pending = null;
         command.action = (...args)=> {
-            if (command._debouncedResult == null) {
-                command._debouncedResult = $.Deferred();
-            }            
+            if (pending == null) {
+                pending = {};
+                pending.promise = new Promise((resolve, reject) => {
+                    pending.resolve = resolve;
+                    pending.reject = reject;
+                });
+            }
+            let current = pending;
+            let options = _.last(args);
             clearTimeout(command._timeout);
-            command._timeout = setTimeout(function () {                
-                var result;
-                try {
-                    result = originalAction.apply(command.context, args);
-                    if (result && _.isFunction(result.always)) {
-                        result.done(()=> {
-                            if (command._debouncedResult != null)
-                                command._debouncedResult.resolve(arguments);
-                        }).fail(()=> {
-                            if (command._debouncedResult != null)
-                                command._debouncedResult.reject(arguments);
-                        }).always(()=> {
-                            command._debouncedResult = null;
-                        });
-                    } else {
-                        command._debouncedResult.resolve(result);
-                        command._debouncedResult = null;
-                    }
-                } catch (e) {
-                    if (command._debouncedResult != null) {
-                        command._debouncedResult.reject(command.context, e);
-                        command._debouncedResult = null;
-                    }
-                    console.warn('Debounced command action failed with exception', e);
-                }
+            let timeout = command._timeout = setTimeout(function () {
+                pending = null;
+                new Promise((resolve) => {
+                    resolve(originalAction.apply(command.context, args));
+                }).then(current.resolve, (e)=> {
+                    console.warn('Debounced command action failed', e);
+                    current.reject(e);
+                });
             }, config.timeout);
-            return command._debouncedResult.promise();
+            //aborted command should not run delayed action
+            options.signal.addEventListener('abort', ()=> {
+                if (command._timeout === timeout) {
+                    clearTimeout(timeout);
+                    pending = null;
+                }
+            });
+            return current.promise;
+        };
+        //override default canExecute, debounced command could be executed while running
+        if (commandConfig.canExecute == null) {
+            command.condition = function () { return true; }
+        }
+    },
+
+    /**
+     * Call action at most once per interval. Config is interval in ms or {interval, leading, trailing}.
+     * Leading call is made immediately, calls made during interval are collapsed into trailing call made
+     * with latest arguments when interval is over. Without trailing calls these are cancelled.
+     */
+    throttle: function (command, config, commandConfig) {
+        var options = _.extend({leading: true, trailing: true}, _.isNumber(config) ? {interval: config} : config);
+        var originalAction = command.action;
+        var last = 0;
+        var trailing = null;
+        var call = function (args) {
+            last = Date.now();
+            return originalAction.apply(command.context, args);
+        };
+        command.action = (...args)=> {
+            let wait = options.interval - (Date.now() - last);
+            if (trailing == null && wait <= 0 && options.leading) {
+                return call(args);
+            }
+            if (!options.trailing) {
+                return Command.CANCELLED;
+            }
+            if (trailing == null) {
+                let current = trailing = {};
+                current.promise = new Promise((resolve, reject) => {
+                    current.resolve = resolve;
+                    current.reject = reject;
+                });
+                current.timeout = setTimeout(function () {
+                    trailing = null;
+                    new Promise((resolve) => {
+                        resolve(call(current.args));
+                    }).then(current.resolve, current.reject);
+                }, wait > 0 ? wait : options.interval);
+            }
+            let current = trailing;
+            current.args = args;
+            //aborted command should not run delayed action
+            _.last(args).signal.addEventListener('abort', ()=> {
+                if (trailing === current && current.args === args) {
+                    clearTimeout(current.timeout);
+                    trailing = null;
+                }
+            });
+            return current.promise;
         };
-        //override default canExecute
-        if (command.condition == null) {
+        //override default canExecute, throttled command could be executed while running
+        if (commandConfig.canExecute == null) {
             command.condition = function () { return true; }
         }
     },
 
+    /**
+     * Fail execution with TimeoutError and abort action if it is not finished in time.
+     * Config is timeout in ms or {timeout}.
+     */
+    timeout: function (command, config) {
+        var ms = _.isNumber(config) ? config : config.timeout;
+        var action = command.action;
+        command.action = function (...args) {
+            let options = _.last(args);
+            let controller = new AbortController();
+            options.signal.addEventListener('abort', ()=> {
+                controller.abort();
+            });
+            let actionArgs = _.initial(args).concat(_.extend({}, options, {signal: controller.signal}));
+            return new Promise((resolve, reject) => {
+                let result = action.apply(command.context, actionArgs);
+                let timer = setTimeout(()=> {
+                    if (result && _.isFunction(result.abort)) {
+                        result.abort();
+                    }
+                    controller.abort();
+                    let error = new Error("Command timed out");
+                    error.name = "TimeoutError";
+                    reject(error);
+                }, ms);
+                Promise.resolve(result).then((value)=> {
+                    clearTimeout(timer);
+                    resolve(value);
+                }, (e)=> {
+                    clearTimeout(timer);
+                    reject(e);
+                });
+            });
+        };
+    },
+
+    /**
+     * Ask user to confirm execution. Config is a message or function returning message for command arguments.
+     * Message is passed to Command.confirm provider which return boolean or promise of boolean.
+     * Declined execution finish with 'cancelled' status.
+     * Ex: MyObject.command('remove', {execute() {...}, confirm: "Delete this record?"});
+     */
+    confirm: function (command, config) {
+        var action = command.action;
+        command.action = function (...args) {
+            let message = _.isFunction(config) ? config.apply(command.context, _.initial(args)) : config;
+            return Promise.resolve(Command.confirm(message, command)).then((confirmed)=> {
+                return confirmed ? action.apply(command.context, args) : Command.CANCELLED;
+            });
+        };
+    },
+
+    /**
+     * Define what happens when command is executed while running. Config is policy name or {policy, limit}:
+     * drop - canExecute is false while running, 'execute' calls made anyway are ignored (promise is rejected);
+     * restartable - running execution is aborted and new one is started;
+     * queue - execution is started when running one is finished, if condition still allows it (otherwise it is rejected);
+     * parallel - up to 'limit' executions run at the same time.
+     * Ex: MyObject.command('search', {execute() {...}, concurrency: 'restartable'});
+     */
+    concurrency: function (command, config, commandConfig) {
+        var options = _.isString(config) ? {policy: config} : config;
+        var condition = commandConfig.canExecute || function () { return true; };
+        var execute = function (args) {
+            return Command.prototype.execute.apply(command, args);
+        };
+        switch (options.policy) {
+            case 'drop':
+                command.condition = function () {
+                    return !command.isRunning && condition.apply(command.context, arguments);
+                };
+                command.execute = function (...args) {
+                    return command.canExecute(...args) ? execute(args) : rejected(new Error("Command is running"));
+                };
+                break;
+            case 'restartable':
+                command.condition = condition;
+                command.execute = function (...args) {
+                    if (command.canExecute(...args)) {
+                        command.abort();
+                    }
+                    return execute(args);
+                };
+                break;
+            case 'queue':
+                command.condition = condition;
+                command.execute = function (...args) {
+                    if (!command.isRunning || !command.canExecute(...args)) {
+                        return execute(args);
+                    }
+                    let result = new Promise((resolve, reject) => {
+                        command._queue.push({args: args, resolve: resolve, reject: reject});
+                    });
+                    result.catch(_.noop);
+                    command.notifyCanExecute();
+                    return result;
+                };
+                command.on('execute', (state)=> {
+                    //condition might change while execution was waiting, queued executions which could not
+                    //be started anymore are rejected
+                    while (state === 'finished' && !command.isRunning && command._queue.length > 0) {
+                        let next = command._queue.shift();
+                        if (command.canExecute(...next.args)) {
+                            command._start(next.args).then(next.resolve, next.reject);
+                        } else {
+                            next.reject(new Error("Cannot execute this command now"));
+                            command.notifyCanExecute();
+                        }
+                    }
+                });
+                break;
+            case 'parallel':
+                var limit = options.limit || Infinity;
+                command.condition = function () {
+                    return command.runningCount < limit && condition.apply(command.context, arguments);
+                };
+                break;
+            default:
+                throw new Error("Unknown command concurrency policy " + options.policy);
+        }
+    },
+
+    /**
+     * Call action again when it fails. Command is running until last attempt is finished,
+     * 'execute' event is fired with 'retrying' state and attempt number before every repeated call.
+     * Config is number of attempts or object: attempts - total number of calls (3 by default), delay - ms before first retry (100 by default),
+     * backoff - 'fixed', 'exponential' or function(attempt) returning delay,
+     * retryIf - function(error, attempt) returning false when error should not be retried.
+     * Ex: MyObject.command('load', {execute() {...}, retry: {attempts: 5, backoff: 'exponential'}});
+     */
+    retry: function (command, config) {
+        var options = _.extend({attempts: 3, delay: 100, backoff: 'fixed'},
+            _.isNumber(config) ? {attempts: config} : (_.isObject(config) ? config : {}));
+        var backoff = function (attempt) {
+            if (_.isFunction(options.backoff)) {
+                return options.backoff(attempt);
+            }
+            return options.backoff === 'exponential' ? options.delay * Math.pow(2, attempt - 1) : options.delay;
+        };
+        var action = command.action;
+        command.action = function (...args) {
+            let signal = _.last(args).signal;
+            let attempt = 1;
+            let call = ()=> {
+                return new Promise((resolve) => {
+                    resolve(action.apply(command.context, args));
+                }).catch((e)=> {
+                    if (attempt >= options.attempts || signal.aborted || (options.retryIf && !options.retryIf(e, attempt))) {
+                        throw e;
+                    }
+                    return delay(backoff(attempt), signal).then(()=> {
+                        attempt++;
+                        command.emit('execute', 'retrying', attempt);
+                        return call();
+                    });
+                });
+            };
+            return call();
+        };
+    },
+
     once: function (command, config, commandConfig) {
         var executed = false;
-        var condition = commandConfig.canExecute || function () { return true; };
+        var condition = command.condition;
         command.condition = function () {
             return !executed && (!condition || condition.apply(command.context, arguments));
         };
         var action = command.action;
         command.action = function () {
             var result = action.apply(command.context, arguments);
-            if (result && _.isFunction(result.always)) {
-                result.always(()=> {
-                    executed = true;
-                });
-            } else {
+            var done = ()=> {
                 executed = true;
+            };
+            if (isThenable(result)) {
+                result.then(done, done);
+            } else {
+                done();
             }
             return result;
         };
@@ -207,4 +611,178 @@ Command.ext = {
     }
 };
 
+var compose = function (commands, condition, run) {
+    var fractions = [];
+    var report = _.noop;
+    var progress = ()=> {
+        report(_.sum(fractions) / commands.length);
+    };
+    var progressListeners = _.map(commands, (child, index)=> {
+        return (fraction)=> {
+            if (child.isRunning) {
+                fractions[index] = fraction;
+                progress();
+            }
+        };
+    });
+    var listenProgress = (listen)=> {
+        _.each(commands, (child, index)=> {
+            child[listen ? 'on' : 'off']('progress', progressListeners[index]);
+        });
+    };
+    var notify = ()=> {
+        command.notifyCanExecute();
+    };
+    var observing = false;
+    var disposed = false;
+    //children are listened only while somebody listen to composite, so it does not keep listeners on children forever
+    var observe = (watch)=> {
+        watch = watch && !disposed;
+        if (watch != observing) {
+            observing = watch;
+            _.each(commands, (child)=> {
+                child[watch ? 'on' : 'off']('canExecute', notify);
+            });
+        }
+    };
+    var command = new Command({
+        execute: function (...args) {
+            let options = _.last(args);
+            let abort = ()=> {
+                _.invoke(commands, 'abort');
+            };
+            options.signal.addEventListener('abort', abort);
+            fractions = _.map(commands, ()=> 0);
+            report = options.progress;
+            let finished = (index)=> {
+                fractions[index] = 1;
+                progress();
+            };
+            let stop = (e)=> {
+                listenProgress(false);
+                //stop children which are still running
+                abort();
+                throw e;
+            };
+            let result;
+            listenProgress(true);
+            try {
+                result = run(_.initial(args), finished);
+            } catch (e) {
+                //child could not be executed
+                stop(e);
+            }
+            return result.then((value)=> {
+                listenProgress(false);
+                return value;
+            }, stop);
+        },
+        canExecute: function (...args) {
+            return !command.isRunning && condition(args);
+        }
+    });
+    command.on('on', (e)=> {
+        if (e.eventName === 'canExecute') {
+            observe(true);
+        }
+    });
+    command.on('off', (e)=> {
+        if (e.eventName === 'canExecute') {
+            observe(!_.isEmpty(command.listeners.canExecute));
+        }
+    });
+    /**
+     * Abort composite command and stop listening to child commands.
+     */
+    command.dispose = function () {
+        disposed = true;
+        observe(false);
+        command.abort();
+    };
+    return command;
+};
+
+/**
+ * Create command executing given commands one by one with the same arguments. Command could be executed
+ * when first command could be executed. Execution is stopped when any command fail, is aborted or cancelled,
+ * aborting composite command abort running child. Result is an array of results of child commands.
+ * Progress is aggregated from progress of child commands.
+ * Create composite once and keep it, ex:
+ * MyObject.property('saveAndClose', {get() {
+ *   return this._saveAndClose || (this._saveAndClose = Command.sequence(this.save, this.close));
+ * }});
+ * Composite listen to child commands while it is listened itself or running, call 'dispose' to release it anyway.
+ * @param commands
+ * @returns {Command}
+ */
+Command.sequence = function (...commands) {
+    return compose(commands, (args)=> {
+        return commands.length == 0 || commands[0].canExecute(...args);
+    }, (args, finished)=> {
+        let results = [];
+        let next = (index)=> {
+            if (index >= commands.length) {
+                return results;
+            }
+            return commands[index].execute(...args).then((result)=> {
+                if (result === Command.CANCELLED) {
+                    return result;
+                }
+                results.push(result);
+                finished(index);
+                return next(index + 1);
+            });
+        };
+        return Promise.resolve(next(0));
+    });
+};
+
+/**
+ * Create command executing given commands at the same time with the same arguments. Command could be executed
+ * when every command could be executed. When any command fail the others are aborted.
+ * Result is an array of results of child commands. Progress is aggregated from progress of child commands.
+ * @param commands
+ * @returns {Command}
+ */
+Command.all = function (...commands) {
+    return compose(commands, (args)=> {
+        return _.every(commands, (child)=> child.canExecute(...args));
+    }, (args, finished)=> {
+        return Promise.all(_.map(commands, (child, index)=> {
+            let promise;
+            try {
+                promise = child.execute(...args);
+            } catch (e) {
+                //keep children which are already started handled
+                return Promise.reject(e);
+            }
+            return promise.then((result)=> {
+                finished(index);
+                return result;
+            });
+        }));
+    });
+};
+
+/**
+ * Order in which plugins are applied. Action wrappers applied later are called first:
+ * confirmation is asked before throttling and debouncing, retries are made inside of timeout.
+ */
+Command.extOrder = ['retry', 'timeout', 'debounce', 'throttle', 'concurrency', 'once', 'confirm'];
+
+/**
+ * Result of cancelled execution.
+ */
+Command.CANCELLED = {toString: ()=> "cancelled"};
+
+/**
+ * Confirmation provider used by 'confirm' plugin. Replace it to show application specific dialog.
+ * @param message
+ * @param command
+ * @returns {boolean|Promise} true if user confirmed execution
+ */
+Command.confirm = function (message, command) {
+    return window.confirm(message);
+};
+
 module.exports = Command;
\ No newline at end of file
@@ -4,7 +4,20 @@ var _ = require('lodash');
 var EventEmitter = require('micro-events');
 var Check = require("./check.js");
 var Errors = require("./errors.js");
+var AppError = require("./apperror.js");
 var Command = require("./command.js");
+var dependencies = require("./dependencies.js");
+var Collection = require("./collection.js");
+var types = require("./types.js");
+var serverErrors = require("./servererrors.js");
+var schemaProperties = require("./schema.js").properties;
+var messages = require("./messages.js");
+
+//source of errors added by applyServerErrors
+var SERVER_SOURCE = "server";
+
+//how many times batch listeners could change properties again before batch is considered endless
+var MAX_BATCH_ROUNDS = 100;
 
 export default class DataContext extends EventEmitter {
 
@@ -15,18 +28,59 @@ export default class DataContext extends EventEmitter {
         super();
         this._errors = new Errors();
         this._validating = false;
+        this._runningValidators = {};
+        //properties are listened by views, computed properties, validators and conditional rules
+        this.maxListeners = Infinity;
+        this._computed = {};
+        this._batchDepth = 0;
+        this._batchChanges = null;
+        this._batchChildren = null;
+        this._commandDependencies = null;
+        this._attached = 0;
+        this._onLocale = ()=> {
+            this._localeChanged();
+        };
+        this._raw = {};
+        this._revalidators = {};
+        this._validationDependencies = {};
+        this._errors.labels = (key)=> {
+            let property = this.property(key);
+            return property != null ? property.label : undefined;
+        };
+        this._errors.on('locale', ()=> {
+            //error messages are translated, let listeners know
+            this._fireErrorsChange(_.uniq(_.pluck(this._errors.messages(), 'key')));
+        });
+        this._errors.on('settled', (key)=> {
+            //asynchronous check is complete, let listeners know property errors are changed
+            if (this.property(key) != null) {
+                let value = this[key];
+                this.firePropertyChange(key, value, value);
+            }
+        });
         _.each(this.properties(), (property, name) => {
             if (property.init != null) {
                 property.init(this, name, ...args);
             }
         });
+        _.each(this.validators(), (validator, name) => {
+            _.each(validator.depends, (dependency) => {
+                this.on(dependency, () => {
+                    if (!this._validating) {
+                        this._fireErrorsChange(this._runValidator(name));
+                    }
+                });
+            });
+        });
         if (this.__init != null) {
             this.__init(...args);
         }
+        this.markClean();
     }
 
     /**
      * Fire property change event. Also trigger dependent properties change events.
+     * Inside 'batch' events are postponed until batch is finished.
      * @param name
      * @param newValue
      * @param oldValue
@@ -34,43 +88,350 @@ export default class DataContext extends EventEmitter {
      */
     firePropertyChange(name, newValue, oldValue) {
         if (!this._validating) {
-            this.emit(name, newValue, name, oldValue);
+            this.batch(()=> {
+                let change = this._batchChanges[name];
+                if (change == null) {
+                    this._batchChanges[name] = {newValue: newValue, oldValue: oldValue};
+                } else {
+                    change.newValue = newValue;
+                }
+            });
+        }
+    }
+
+    /**
+     * Run function and postpone property change events until it is finished. Every changed property fire
+     * single event with value it had before the batch as old value. Then 'change' event is fired with
+     * array of changed property names and object holding new and old values of each of them.
+     * Batches could be nested, events are fired when outermost batch is finished. Events of components and
+     * collections are postponed as well. Changes made by listeners while events are fired (ex: computed properties
+     * depending on changed properties) are fired before the batch is finished and reported by the same 'change' event.
+     * 'batch' event is fired with 'started' state when outermost batch is started and 'finished' state after
+     * its 'change' event.
+     * @param fn
+     * @returns {*} function result
+     */
+    batch(fn) {
+        this._beginBatch();
+        try {
+            return fn.call(this);
+        } finally {
+            this._endBatch();
+        }
+    }
+
+    /**
+     * Start batch which is finished by calling 'commit' or 'rollback' on returned object.
+     * 'rollback' bring data context back to the state it had when transaction was started.
+     * @returns {{commit: Function, rollback: Function}}
+     */
+    transaction() {
+        let snapshot = this.snapshot();
+        let finished = false;
+        let finish = (fn) => {
+            if (finished) throw new Error("Transaction is already finished");
+            finished = true;
+            try {
+                fn();
+            } finally {
+                this._endBatch();
+            }
+        };
+        this._beginBatch();
+        return {
+            commit: ()=> finish(_.noop),
+            rollback: ()=> finish(()=> this.restore(snapshot))
+        };
+    }
+
+    get batching() {
+        return this._batchDepth > 0;
+    }
+
+    _beginBatch() {
+        if (this._batchDepth++ == 0) {
+            this._batchChanges = {};
+            //events of components and collections are postponed as well
+            this._batchChildren = _.values(this._children());
+            _.invoke(this._batchChildren, '_beginBatch');
+            this.emit('batch', 'started');
+        }
+    }
+
+    _endBatch() {
+        if (this._batchDepth > 1) {
+            this._batchDepth--;
+            return;
+        }
+        let fired = {};
+        try {
+            this._finishBatch(fired);
+        } finally {
+            this.emit('batch', 'finished');
+        }
+    }
+
+    _finishBatch(fired) {
+        try {
+            //children are finished first, changes their listeners make to this data context join the batch
+            _.invoke(this._batchChildren, '_endBatch');
+            //batch is kept open while events are fired, so changes made by listeners (computed properties,
+            //validators) are fired in the same way and reported by the same 'change' event
+            for (let round = 0; !_.isEmpty(this._batchChanges); round++) {
+                if (round >= MAX_BATCH_ROUNDS) {
+                    throw new Error("Property changes do not settle, check for circular dependencies");
+                }
+                let changes = this._batchChanges;
+                this._batchChanges = {};
+                this._fireBatchChanges(changes);
+                _.each(changes, (change, name)=> {
+                    if (fired.hasOwnProperty(name)) {
+                        fired[name].newValue = change.newValue;
+                    } else {
+                        fired[name] = change;
+                    }
+                });
+            }
+        } finally {
+            this._batchDepth = 0;
+            this._batchChanges = null;
+            this._batchChildren = null;
+        }
+        let names = _.keys(fired);
+        if (names.length > 0) {
+            this._updateDirty();
+            this.emit('change', names, fired);
+        }
+    }
+
+    _fireBatchChanges(changes) {
+        _.each(_.keys(changes), (name)=> {
             let property = this.property(name);
             if (property != null && property.dependent != null) {
                 _.each(property.dependent, (p)=> {
-                    if (this.property(p) != null) {
-                        firePropertyChange(this, p, this[p]);
+                    if (this.property(p) != null && !changes.hasOwnProperty(p)) {
+                        let value = this[p];
+                        changes[p] = {newValue: value, oldValue: value};
                     }
                 });
             }
-        }
-
+        });
+        _.each(_.keys(changes), (name)=> {
+            this.emit(name, changes[name].newValue, name, changes[name].oldValue);
+        });
     }
 
     /**
-     * Clear all data context writable properties and set properties specified by newData
+     * Clear all data context writable properties and set properties specified by newData.
+     * Data context is marked clean afterwards.
      * @param newData
      */
     reset(newData) {
         if (!newData) newData = {};
-        _.each(this.properties(), (property, name)=> {
-            if (property.writable) {
-                this[name] = newData[name] || property.default;
-            }
+        this.batch(()=> {
+            _.each(this.properties(), (property, name)=> {
+                if (property.component != null) {
+                    this[name].reset(newData[name]);
+                } else if (property.writable) {
+                    this[name] = newData[name] || property.default;
+                }
+            });
+            this.markClean();
         });
     }
 
     /**
      * Fill writable properties from new data. If value is not found in newData then it is left as is.
+     * Data context is marked clean afterwards.
      * @param newData
      */
     putAll(newData) {
         if (!newData) return;
+        this.batch(()=> {
+            _.each(this.properties(), (property, name)=> {
+                if (newData.hasOwnProperty(name)) {
+                    if (property.component != null) {
+                        this[name].putAll(newData[name]);
+                    } else if (property.writable) {
+                        this[name] = newData[name];
+                    }
+                }
+            });
+            this.markClean();
+        });
+    }
+
+    /**
+     * Return plain object with values of writable properties, components and collections suitable for
+     * sending to server. Property definition could customize it with following options:
+     * serialize: false - skip property
+     * serializedName: 'name' - use another name in serialized object
+     * serialize: function (value) {} - transform value before serialization
+     * @returns {Object}
+     */
+    toJSON() {
+        let json = {};
+        _.each(this.properties(), (property, name)=> {
+            if (property.serialize === false) return;
+            let value;
+            if (property.component != null || property.collection != null) {
+                value = this[name].toJSON();
+            } else if (isTracked(property)) {
+                value = this[name];
+                if (_.isFunction(property.serialize)) {
+                    value = property.serialize.call(this, value);
+                }
+            } else {
+                return;
+            }
+            json[property.serializedName || name] = value;
+        });
+        return json;
+    }
+
+    /**
+     * Fill data context from object produced by 'toJSON'. Property definition could transform
+     * serialized value with 'deserialize' function (value) {}. Data context is marked clean afterwards.
+     * @param data
+     * @returns {DataContext} this
+     */
+    fromJSON(data) {
+        if (!data) return this;
+        this.batch(()=> {
+            _.each(this.properties(), (property, name)=> {
+                let key = property.serializedName || name;
+                if (property.serialize === false || !data.hasOwnProperty(key)) return;
+                let value = data[key];
+                if (property.component != null || property.collection != null) {
+                    this[name].fromJSON(value);
+                } else if (isTracked(property)) {
+                    this[name] = _.isFunction(property.deserialize) ? property.deserialize.call(this, value) : value;
+                }
+            });
+            this.markClean();
+        });
+        return this;
+    }
+
+    /**
+     * Return current state of writable properties, components and collections.
+     * Snapshot could be passed to 'restore' to bring data context back to this state.
+     * @returns {Object}
+     */
+    snapshot() {
+        let snapshot = {};
+        _.each(this.properties(), (property, name)=> {
+            if (property.component != null) {
+                snapshot[name] = this[name].snapshot();
+            } else if (property.collection != null) {
+                snapshot[name] = this[name].map((item)=> {
+                    return {item: item, snapshot: item.snapshot()};
+                });
+            } else if (isTracked(property)) {
+                snapshot[name] = this[name];
+            }
+        });
+        return snapshot;
+    }
+
+    /**
+     * Set data context state previously taken by 'snapshot'.
+     * @param snapshot
+     */
+    restore(snapshot) {
         _.each(this.properties(), (property, name)=> {
-            if (property.writable && newData.hasOwnProperty(name)) {
-                this[name] = newData[name];
+            if (snapshot == null || !snapshot.hasOwnProperty(name)) return;
+            let value = snapshot[name];
+            if (property.component != null) {
+                this[name].restore(value);
+            } else if (property.collection != null) {
+                this[name].reset(_.pluck(value, 'item'));
+                _.each(value, (entry)=> {
+                    entry.item.restore(entry.snapshot);
+                });
+            } else if (isTracked(property)) {
+                this[name] = value;
+            }
+        });
+    }
+
+    /**
+     * Remember current state as clean. 'isDirty' compare properties with this state.
+     */
+    markClean() {
+        this._clean = this.snapshot();
+        _.each(this._children(), (child, name)=> {
+            if (this.property(name).collection != null) {
+                child.forEach((item)=> item.markClean());
+            } else {
+                child.markClean();
             }
         });
+        this._updateDirty();
+    }
+
+    /**
+     * True if property (or any property if key is not given) is changed since data context was marked clean.
+     * @param key
+     * @returns {boolean}
+     */
+    isDirty(key) {
+        if (key == null) {
+            dependencies.record(this, 'dirty');
+            return this.dirtyProperties().length > 0;
+        }
+        let property = this.property(key);
+        if (property == null || this._clean == null || !this._clean.hasOwnProperty(key)) {
+            return false;
+        }
+        let clean = this._clean[key];
+        if (property.component != null) {
+            return this[key].isDirty();
+        } else if (property.collection != null) {
+            let items = this[key].items;
+            return items.length != clean.length ||
+                _.some(items, (item, index)=> item !== clean[index].item || item.isDirty());
+        } else {
+            return !_.isEqual(this[key], clean);
+        }
+    }
+
+    /**
+     * @returns {Array} names of properties changed since data context was marked clean
+     */
+    dirtyProperties() {
+        return _.filter(_.keys(this.properties()), (name)=> this.isDirty(name));
+    }
+
+    /**
+     * Set property (or all properties if key is not given) back to the state data context had when it was marked clean.
+     * @param key
+     */
+    revert(key) {
+        if (this._clean == null) return;
+        if (key == null) {
+            this.restore(this._clean);
+        } else {
+            this.restore(_.pick(this._clean, key));
+        }
+    }
+
+    _updateDirty() {
+        if (this._clean == null) return;
+        let dirty = this.isDirty();
+        if (dirty !== !!this._dirty) {
+            this._dirty = dirty;
+            this.emit('dirty', dirty);
+        }
+    }
+
+    /**
+     * Return value user tried to assign to typed property if it could not be coerced, otherwise property value.
+     * @param key
+     * @returns {*}
+     */
+    rawValue(key) {
+        return this._raw.hasOwnProperty(key) ? this._raw[key] : this[key];
     }
 
     /**
@@ -79,11 +440,34 @@ export default class DataContext extends EventEmitter {
      * @returns {*}
      */
     errors(key) {
+        dependencies.record(this._errors, 'change');
         return _.map(this._errors.errors(key), (error)=> {
             return error.toString();
         });
     }
 
+    /**
+     * Return array of warnings for given key. If key is not given return all warnings.
+     * @param key
+     * @returns {*}
+     */
+    warnings(key) {
+        return this.messages(key, AppError.WARNING);
+    }
+
+    /**
+     * Return array of messages of given severity for given key. If severity is not given return all messages.
+     * @param key
+     * @param severity
+     * @returns {*}
+     */
+    messages(key, severity) {
+        dependencies.record(this._errors, 'change');
+        return _.map(this._errors.messages(key, severity), (error)=> {
+            return error.toString();
+        });
+    }
+
     /**
      * True if data context has errors for a given key
      * @param key
@@ -94,24 +478,68 @@ export default class DataContext extends EventEmitter {
     }
 
     /**
-     * True if data context and it components does not have any errors
-     * @param key
+     * True if data context and it components does not have any errors.
+     * Pass {group: 'name'} to check only properties of validation group.
+     * @param key - property name or options object
      * @returns {*}
      */
     isValid(key) {
+        dependencies.record(this._errors, 'change');
+        if (_.isObject(key)) {
+            return this._isGroupValid(key.group);
+        }
         let valid = this._errors.isValid(key);
         if (valid && key == null) {
-            valid = _.every(this.properties(), (property, name) => {
-                if (property.component != null && _.isFunction(this[name].isValid)) {
-                    return this[name].isValid();
-                } else {
-                    return true;
-                }
+            valid = _.every(this._children(), (child) => {
+                return !_.isFunction(child.isValid) || child.isValid();
             });
         }
         return valid;
     }
 
+    _isGroupValid(group) {
+        if (group == null) {
+            return this.isValid();
+        }
+        return _.every(this.properties(), (property, name)=> {
+            let child = this._children()[name];
+            return (!inGroup(property, group) || this._errors.isValid(name)) &&
+                (child == null || child.isValid(childOptions(property, group)));
+        });
+    }
+
+    /**
+     * True if data context or its components have asynchronous checks which are not complete yet.
+     * @param key
+     * @returns {*}
+     */
+    isPending(key) {
+        dependencies.record(this._errors, 'change');
+        let pending = this._errors.isPending(key);
+        if (!pending && key == null) {
+            pending = _.some(this._children(), (child) => {
+                return _.isFunction(child.isPending) && child.isPending();
+            });
+        }
+        return pending;
+    }
+
+    /**
+     * @returns {Promise} resolved when all asynchronous checks in this data context and its components are complete
+     */
+    settled() {
+        let components = _.compact(_.map(this._children(), (child) => {
+            if (_.isFunction(child.settled)) {
+                return child.settled();
+            }
+        }));
+        return Promise.all([this._errors.settled(), ...components]).then(()=> {
+            if (this.isPending()) {
+                return this.settled();
+            }
+        });
+    }
+
     /**
      * Return 'checker' object which add errors to this data context.
      * @param key
@@ -124,21 +552,104 @@ export default class DataContext extends EventEmitter {
 
     /**
      * Clear errors in this data context. If key is not given then clear all errors.
-     * @param key
+     * Pass {group: 'name'} to clear errors of validation group properties.
+     * @param key - property name or options object
      */
     clearErrors(key) {
+        if (_.isObject(key)) {
+            return this._clearGroupErrors(key.group);
+        }
         this._errors.clear(key);
         if (key == null) {
-            _.every(this.properties(), (property, name) => {
-                if (property.component != null && _.isFunction(this[name].clearErrors)) {
-                    return this[name].clearErrors();
-                } else {
-                    return true;
+            _.each(this._children(), (child) => {
+                if (_.isFunction(child.clearErrors)) {
+                    child.clearErrors();
                 }
             });
         }
     }
 
+    _clearGroupErrors(group) {
+        if (group == null) {
+            return this.clearErrors();
+        }
+        _.each(this.properties(), (property, name)=> {
+            let child = this._children()[name];
+            if (inGroup(property, group)) {
+                this._errors.clear(name);
+            }
+            if (child != null) {
+                child.clearErrors(childOptions(property, group));
+            }
+        });
+        _.each(this.validators(), (validator, name)=> {
+            if (_.includes(validator.groups, group)) {
+                this._errors.clear(null, "validator:" + name);
+            }
+        });
+    }
+
+    /**
+     * Add validation errors returned by server. Payload could be JSON:API error document,
+     * RFC 7807 problem details with 'invalid-params' or map of property names to messages.
+     * Paths like 'address.zip' or 'lines[0].qty' are routed to components and collection items,
+     * errors for unknown paths are added with path as a key. Previous server errors are replaced.
+     * Server errors for a property are removed when property is changed.
+     * @param payload
+     */
+    applyServerErrors(payload) {
+        this.batch(()=> {
+            this.clearServerErrors();
+            _.each(serverErrors.parse(payload), (error)=> {
+                this._addServerError(error.path, error.message);
+            });
+        });
+    }
+
+    /**
+     * Remove errors added by applyServerErrors from this data context and its children.
+     */
+    clearServerErrors() {
+        let keys = _.uniq(_.pluck(_.filter(this._errors.messages(), {source: SERVER_SOURCE}), 'key'));
+        this._errors.clear(null, SERVER_SOURCE);
+        this._fireErrorsChange(keys);
+        _.each(this._children(), (child)=> {
+            child.clearServerErrors();
+        });
+    }
+
+    _addServerError(path, message) {
+        let name = path[0];
+        let property = name != null ? this.property(name) : null;
+        let rest = _.rest(path);
+        if (property != null && rest.length > 0) {
+            if (property.component != null) {
+                return this[name]._addServerError(rest, message);
+            }
+            let item = property.collection != null ? this[name].at(parseInt(rest[0], 10)) : null;
+            if (item != null) {
+                return item._addServerError(_.rest(rest), message);
+            }
+        }
+        let key = property != null ? name : path.join(".");
+        //server messages are not sprintf formats
+        new Check(this._errors, key, undefined, SERVER_SOURCE).fail(String(message).replace(/%/g, "%%"));
+        this._fireErrorsChange([key]);
+    }
+
+    /**
+     * Return child data contexts (components and collections) keyed by property name.
+     */
+    _children() {
+        let children = {};
+        _.each(this.properties(), (property, name) => {
+            if ((property.component != null || property.collection != null) && this[name] != null) {
+                children[name] = this[name];
+            }
+        });
+        return children;
+    }
+
     /**
      * Return array data context property descriptors.
      */
@@ -155,40 +666,140 @@ export default class DataContext extends EventEmitter {
     }
 
     /**
-     * Run all setters in data context which in turn trigger their validation
+     * Return object level validators of this data context.
+     */
+    validators() {
+        return this.constructor.validators();
+    }
+
+    /**
+     * Run object level validator. Errors previously added by the validator are replaced with new ones.
+     * @param name
+     * @returns {Array} keys which errors are changed
+     */
+    _runValidator(name) {
+        let validator = this.validators()[name];
+        if (validator == null) throw new Error("Unknown validator '" + name + "'");
+        if (this._runningValidators[name]) return [];
+        let source = "validator:" + name;
+        let describeErrors = () => {
+            return _(this._errors.messages())
+                .filter((error) => error.source === source)
+                .groupBy('key')
+                .mapValues((errors) => _.invoke(errors, 'toString').join("\n"))
+                .value();
+        };
+        let before = describeErrors();
+        try {
+            this._runningValidators[name] = true;
+            this._errors.clear(null, source);
+            validator.validate.call(this, (key, value) => {
+                return new Check(this._errors, key, value, source, this);
+            });
+        } finally {
+            this._runningValidators[name] = false;
+        }
+        let after = describeErrors();
+        return _.filter(_.union(_.keys(before), _.keys(after)), (key) => before[key] !== after[key]);
+    }
+
+    /**
+     * Validate property again without changing it, fire property change event if its errors are changed.
+     * @param name
+     */
+    _revalidate(name) {
+        let before = this.messages(name).join("\n");
+        try {
+            this._validating = true;
+            this._validateValue(name);
+        } finally {
+            this._validating = false;
+        }
+        if (before !== this.messages(name).join("\n")) {
+            this._fireErrorsChange([name]);
+        }
+    }
+
+    _validateValue(name) {
+        let property = this.property(name);
+        if (property.component != null || property.collection != null) {
+            //components and collections are not assigned, run their rules directly
+            this._errors.clear(name, (source)=> source == null);
+            if (property.validate != null) {
+                validateProperty(this, name, property);
+            }
+        } else {
+            //trigger validation by invoking setter
+            this[name] = this.rawValue(name);
+        }
+    }
+
+    _fireErrorsChange(keys) {
+        _.each(keys, (key) => {
+            if (this.property(key) != null) {
+                let value = this[key];
+                this.firePropertyChange(key, value, value);
+            }
+        });
+    }
+
+    /**
+     * Run all setters in data context which in turn trigger their validation.
+     * If group is given then only properties and validators declaring that group in 'groups' are validated.
+     * Ex: MyObject.property('email', {groups: ['step1'], validate: {email: true}}); model.validate('step1');
+     * @param group
      * @returns {*}
      */
-    validate() {
+    validate(group) {
+        return this.batch(()=> this._validate(group));
+    }
+
+    _validate(group) {
         let changedProps = [];
         try {
             this._validating = true;
             _.each(this.properties(), (property, name)=> {
                 var descriptor = this.property(name);
                 if (descriptor != null) {
-                    if (descriptor.component != null && _.isFunction(this[name].validate) && _.isFunction(this[name].isValid)) {
-                        let validComponent = this[name].isValid();
+                    if ((descriptor.component != null || descriptor.collection != null) && _.isFunction(this[name].validate) && _.isFunction(this[name].isValid)) {
+                        let options = childOptions(descriptor, group);
+                        let validComponent = this[name].isValid(options);
                         let validProp = this.isValid(name);
-                        if (validComponent != this[name].validate() || validProp != this.isValid(name)) {
+                        if (descriptor.validate != null && inGroup(descriptor, group)) {
+                            this._validateValue(name);
+                        }
+                        if (validComponent != this[name].validate(options && options.group) || validProp != this.isValid(name)) {
                             changedProps.push(name);
                         }
-                    } else if (descriptor.writable) {
-                        //trigger validation by invoking setter
+                    } else if (descriptor.writable && inGroup(descriptor, group)) {
                         let valid = this.isValid(name);
-                        this[name] = this[name];
+                        this._validateValue(name);
                         if (valid != this.isValid(name)) {
                             changedProps.push(name);
                         }
                     }
                 }
             });
+            _.each(this.validators(), (validator, name) => {
+                if (group == null || _.includes(validator.groups, group)) {
+                    changedProps = _.union(changedProps, this._runValidator(name));
+                }
+            });
         } finally {
             this._validating = false;
-            _.each(changedProps, (name)=> {
-                var val = this[name];
-                this.firePropertyChange(name, val, val);
-            });
+            this._fireErrorsChange(changedProps);
         }
-        return this.isValid();
+        return this.isValid({group: group});
+    }
+
+    /**
+     * Same as 'validate' but also wait for asynchronous checks.
+     * @param group
+     * @returns {Promise} resolved with true if data context is valid when all checks are complete
+     */
+    validateAsync(group) {
+        this.validate(group);
+        return this.settled().then(()=> this.isValid({group: group}));
     }
 
     get validating() {
@@ -198,6 +809,8 @@ export default class DataContext extends EventEmitter {
     /**
      * Attach event listener to all property change events in this data context.
      * When property changed 'update' callback receive object generated by propertyState.
+     * While data context is attached it listen to locale changes and fire events of properties having errors,
+     * so translated messages are shown. Call 'detach' to release it.
      * @param update {Function} function (newValue, propertyName, oldValue)
      * @returns {Function} listener object
      */
@@ -205,6 +818,10 @@ export default class DataContext extends EventEmitter {
         _.each(this.properties(), (property, name) => {
             this.on(name, update);
         });
+        //error messages are translated while data context is shown
+        if (this._attached++ == 0) {
+            messages.on('locale', this._onLocale);
+        }
         return update;
     }
 
@@ -216,6 +833,20 @@ export default class DataContext extends EventEmitter {
         _.each(this.properties(), (property, name)=> {
             this.off(name, listener);
         });
+        if (this._attached > 0 && --this._attached == 0) {
+            messages.off('locale', this._onLocale);
+        }
+    }
+
+    _localeChanged() {
+        this._errors.localeChanged();
+        _.each(this._children(), (child)=> {
+            if (child instanceof Collection) {
+                child.forEach((item)=> item._localeChanged());
+            } else {
+                child._localeChanged();
+            }
+        });
     }
 
     /**
@@ -232,6 +863,38 @@ export default class DataContext extends EventEmitter {
     }
 }
 
+/**
+ * Create data context and fill it with serialized data. Arguments after data are passed to constructor.
+ * Ex: let order = Order.fromJSON(response);
+ */
+DataContext.fromJSON = function (data, ...args) {
+    let model = new this(...args);
+    model.fromJSON(data);
+    return model;
+};
+
+/**
+ * Define properties from JSON Schema of an object. Supported keywords are 'properties', 'required', 'type',
+ * 'default', 'title' (used as label), 'enum', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+ * 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems' and 'format' (email, uri,
+ * date-time, uuid). Nested objects become components and arrays of objects become collections.
+ * Properties already defined are extended, so custom getters or rules could be added before or after.
+ * Ex: Customer.schema(customerSchema);
+ */
+DataContext.schema = function (schema) {
+    this.properties(schemaProperties(schema, DataContext));
+};
+
+/**
+ * Create data context subclass with properties defined by JSON Schema, see DataContext.schema.
+ * Ex: let Customer = DataContext.fromSchema(customerSchema);
+ */
+DataContext.fromSchema = function (schema) {
+    class SchemaDataContext extends this {}
+    SchemaDataContext.schema(schema);
+    return SchemaDataContext;
+};
+
 /*
  Helper method to generate command and property definitions.
 
@@ -261,6 +924,55 @@ DataContext.properties = function (params) {
     }
 };
 
+/**
+ * Define object level validator which check several properties at once.
+ * Validator is re-run when any of properties listed in 'depends' is changed and from 'validate'.
+ * Validator could be assigned to validation groups with 'groups' array same as properties.
+ * 'validate' function receive 'check' function which create checker for any key, use "" key for
+ * errors which are not related to particular property. Ex:
+ * MyObject.validator('dateRange', {
+ *   depends: ['startDate', 'endDate'],
+ *   validate(check) {
+ *     check('endDate', this.endDate).failIf("%(key)s should be after start date", (v) => v <= this.startDate);
+ *   }
+ * });
+ */
+DataContext.validator = function (name, definition) {
+    if (!definition) {
+        return this.validators()[name];
+    }
+    if (!_.isFunction(definition.validate)) throw new Error("Validator should have 'validate' function.");
+    if (!this.hasOwnProperty('dataContext$validators')) {
+        Object.defineProperty(this, "dataContext$validators", {
+            configurable: false,
+            enumerable: false,
+            value: {}
+        });
+    }
+    this.dataContext$validators[name] = _.extend({name: name, depends: []}, definition);
+};
+
+/**
+ * Define several validators at once or return all validators if called without arguments.
+ */
+DataContext.validators = function (params) {
+    if (arguments.length == 0) {
+        var result = {};
+        var prototype = this.prototype;
+        while (prototype != null) {
+            if (prototype.constructor && prototype.constructor.hasOwnProperty('dataContext$validators')) {
+                _.defaults(result, prototype.constructor.dataContext$validators);
+            }
+            prototype = Object.getPrototypeOf(prototype);
+        }
+        return result;
+    } else {
+        _.forOwn(params, (definition, name) => {
+            this.validator(name, definition);
+        });
+    }
+};
+
 /**
  * Generate property named 'name' which can be used to get/set object property
  * When property is set, an event with same name is fired.
@@ -270,6 +982,23 @@ DataContext.properties = function (params) {
  * 3. Default RW property MyObject.property('p', {}); Trivial getter and setter are generated.
  * 4. Command properties MyObject.property('command', {execute() { return 'Hello';}});
  * 5. Components (child datacontexts) MyObject.property('command', {component:MyComonentType, arg1:1, arg2:2});
+ * 6. Computed properties MyObject.property('fullName', {computed() { return this.first + ' ' + this.last; }});
+ * 7. Collections (lists of child datacontexts) MyObject.property('lines', {collection:MyLineType});
+ *
+ * Writable properties may declare 'type' which is one of 'number', 'integer', 'boolean', 'date', 'string',
+ * array of allowed values or data context constructor. Assigned values are coerced to that type, when value
+ * could not be coerced property keep its value, error is added and raw value is available thru 'rawValue'.
+ * Ex: MyObject.property('age', {type: 'integer'});
+ *
+ * Property 'label' (text, message code or function) is used instead of property name in error messages.
+ *
+ * Writable properties may declare validation rules which run on every set and from 'validate'.
+ * Rules are either an object passed to Check.rules or a function (check, value) called with data context as 'this'.
+ * Ex: MyObject.property('email', {validate: {notEmpty: true, email: true}});
+ * Rules could be made conditional with 'when' predicate called with data context as 'this'. When predicate
+ * is false property errors are cleared, properties read by predicate are tracked to validate property again.
+ * Ex: MyObject.property('companyName', {validate: {notEmpty: true}, when() { return this.type === 'business'; }});
+ * Check.when could be used to make only some rules conditional: {validate: {notNull: true, when: fn, email: true}}
  */
 DataContext.property = function (property, definition) {
     var properties;
@@ -291,6 +1020,10 @@ DataContext.property = function (property, definition) {
             this.command(property, definition);
         } else if (definition.component != null) {
             this.component(property, definition);
+        } else if (definition.collection != null) {
+            this.collection(property, definition);
+        } else if (definition.computed != null) {
+            this.computed(property, definition);
         } else {
             this._defProperty(property, definition);
         }
@@ -299,7 +1032,7 @@ DataContext.property = function (property, definition) {
 
 /**
  * Generate readonly command property. Such property hold instance of command.
- * When command is executed an event named as property is fired.
+ * When command is executed or its state (status, error) is changed an event named as property is fired.
  * Ex: MyObject.command('loadSome', {
  * execute: function () { ... },
  * canExecute: function () { ... }
@@ -311,6 +1044,14 @@ DataContext.property = function (property, definition) {
  * You can override commands in sub classes. Ex:
  * class Subclass extends MyObject {}
  * Subclass.command('loadSome', { debounce: { timeout: 1000 } });
+ *
+ * Properties, errors and dirty state read by canExecute are tracked, 'canExecute' event and command property
+ * change are fired when any of them is changed. Set 'dependsOn' to array of property names to list
+ * dependencies explicitly (errors of these properties and changes and errors of their components are tracked as well).
+ * Ex: MyObject.command('save', {
+ *   execute() { ... },
+ *   canExecute() { return this.isDirty() && this.isValid(); }
+ * });
  */
 DataContext.command = function (name, config) {
     var ivar = "_" + name;
@@ -330,6 +1071,8 @@ DataContext.command = function (name, config) {
                 [key]: {
                     isRunning: viewModel[key].isRunning,
                     canExecute: !!viewModel[key].canExecute(),
+                    status: viewModel[key].status,
+                    progress: viewModel[key].progress,
                     error: viewModel[key].error
                 }
             };
@@ -337,9 +1080,10 @@ DataContext.command = function (name, config) {
         get: function () {
             var cmd = this[ivar];
             if (!cmd) {
-                cmd = this[ivar] = new Command(config, this);
+                cmd = this[ivar] = new Command(_.omit(config, 'dependsOn'), this);
                 cmd.name = name;
-                cmd.on('execute', ()=> {
+                trackCanExecute(this, name, cmd, config.dependsOn);
+                cmd.on('change', ()=> {
                     this.firePropertyChange(name, cmd, cmd);
                 });
             }
@@ -350,22 +1094,69 @@ DataContext.command = function (name, config) {
 
 DataContext.component = function (name, def) {
     def.describe = function (viewModel, propName) {
-        let component = viewModel[propName];
         return {
-            [propName]: _.reduce(component.properties(), (acc, property, name)=> {
-                return _.extend(acc, property.describe(component, name))
-            }, {}),
-            [propName + "Errors"]: viewModel.errors(propName)
+            [propName]: describeContext(viewModel[propName]),
+            [propName + "Errors"]: viewModel.errors(propName),
+            [propName + "Warnings"]: viewModel.warnings(propName)
         }
     };
     def.init = _.wrap(def.init || _.noop, function (init, model, name, ...args) {
         model[name] = new this.component(model, this, name, ...args);
+        model[name].on('dirty', ()=> {
+            model._updateDirty();
+        });
         init(model, this, name, ...args);
     });
     _.defaults(def, def.component.propertyDefaults);
     this._defProperty(name, def);
 }
 
+/**
+ * Generate readonly property which value is calculated by 'computed' function and cached.
+ * Data context properties read by the function (including properties of components) are tracked,
+ * when any of them is changed cached value is dropped and property change event is fired.
+ * Ex: MyObject.computed('fullName', {
+ *   computed() { return this.firstName + ' ' + this.lastName; }
+ * });
+ */
+DataContext.computed = function (name, def) {
+    let compute = def.computed;
+    if (!_.isFunction(compute)) throw new Error("Computed property '" + name + "' should have 'computed' function.");
+    this._defProperty(name, _.extend({}, def, {
+        get: function () {
+            return computedValue(this, name, compute);
+        }
+    }));
+};
+
+/**
+ * Generate collection property. Such property hold Collection of child data contexts of 'collection' type.
+ * Assigning an array to the property replace collection items, plain objects are converted to items.
+ * Collection modifications fire property change event, collection items take part in validation.
+ * Ex: MyObject.collection('lines', {collection: OrderLine});
+ */
+DataContext.collection = function (name, def) {
+    let ivar = "_" + name;
+    def.describe = function (viewModel, propName) {
+        return {
+            [propName]: viewModel[propName].map(describeContext),
+            [propName + "Errors"]: viewModel.errors(propName),
+            [propName + "Warnings"]: viewModel.warnings(propName)
+        }
+    };
+    def.init = _.wrap(def.init || _.noop, function (init, model, name, ...args) {
+        let collection = model[ivar] = new Collection(this.collection, model, this, name);
+        collection.on('change', ()=> {
+            model.firePropertyChange(name, collection, collection);
+        });
+        collection.on('dirty', ()=> {
+            model._updateDirty();
+        });
+        init(model, this, name, ...args);
+    });
+    this._defProperty(name, def);
+};
+
 DataContext._defProperty = function (name, definition) {
 
     if (arguments.length == 1) {
@@ -394,10 +1185,17 @@ DataContext._defProperty = function (name, definition) {
             resettable: true,
             name: name,
             describe: function (viewModel, key) {
-                return {
-                    [key]: viewModel[key],
-                    [key + "Errors"]: viewModel.errors(key)
+                let state = {
+                    [key]: viewModel.rawValue(key),
+                    [key + "Errors"]: viewModel.errors(key),
+                    [key + "Warnings"]: viewModel.warnings(key),
+                    [key + "Info"]: viewModel.messages(key, AppError.INFO),
+                    [key + "Pending"]: viewModel.isPending(key)
                 };
+                if (property.type != null) {
+                    state[key + "Type"] = types.typeName(property.type);
+                }
+                return state;
             }
         });
 
@@ -410,7 +1208,10 @@ DataContext._defProperty = function (name, definition) {
 
         properties[name] = property;
 
-        if (property.get && property.set) {
+        if (property.collection != null) {
+            property.writable = true;
+            Object.defineProperty(this.prototype, name, makeCollectionProperty(name, property));
+        } else if (property.get && property.set) {
             property.writable = true;
             Object.defineProperty(this.prototype, name, makeRWProperty(name, property));
         } else if (property.get) {
@@ -423,15 +1224,134 @@ DataContext._defProperty = function (name, definition) {
     }
 };
 
+var describeContext = function (model) {
+    return _.reduce(model.properties(), (acc, property, name)=> {
+        return _.extend(acc, property.describe(model, name));
+    }, {});
+};
+
+//true if property (or validator) belongs to validation group, every property belongs to null group
+var inGroup = function (definition, group) {
+    return group == null || _.includes(definition.groups, group);
+};
+
+/*
+ Options for a child data context validation. Whole child is validated if its property belongs to group,
+ otherwise group is passed to the child to pick its own properties.
+ */
+var childOptions = function (property, group) {
+    return inGroup(property, group) ? undefined : {group: group};
+};
+
+//true if property value is a part of data context state (see DataContext.snapshot)
+var isTracked = function (property) {
+    return property.writable && property.component == null && property.collection == null;
+};
+
 var firePropertyChange = function (model, name, newValue, oldValue) {
     if (oldValue !== newValue) {
         return model.firePropertyChange(name, newValue, oldValue);
     }
 };
 
+var computedValue = function (model, name, compute) {
+    let state = model._computed[name];
+    if (state == null) {
+        state = model._computed[name] = {valid: false, dependencies: []};
+        state.invalidate = () => {
+            if (state.valid) {
+                let oldValue = state.value;
+                state.valid = false;
+                firePropertyChange(model, name, model[name], oldValue);
+            }
+        };
+    }
+    if (!state.valid) {
+        if (state.computing) {
+            throw new Error("Circular dependency detected in computed property '" + name + "'");
+        }
+        let result;
+        state.computing = true;
+        try {
+            result = dependencies.track(compute, model);
+        } finally {
+            state.computing = false;
+        }
+        state.value = result.value;
+        state.valid = true;
+        state.dependencies = dependencies.resubscribe(state.dependencies, result.dependencies, state.invalidate);
+    }
+    return state.value;
+};
+
+/*
+ Fire 'canExecute' and command property change when data context state read by command condition is changed.
+ */
+var trackCanExecute = function (model, name, cmd, dependsOn) {
+    let deps = [];
+    let notify = ()=> {
+        cmd.notifyCanExecute();
+        model.firePropertyChange(name, cmd, cmd);
+    };
+    if (dependsOn != null) {
+        deps = _.flatten(_.map(dependsOn, (key)=> {
+            let property = model.property(key);
+            let result = [{emitter: model, event: key}];
+            if (property != null && property.component != null) {
+                result.push({emitter: model[key], event: 'change'}, {emitter: model[key]._errors, event: 'change'});
+            }
+            return result;
+        }));
+        deps.push({emitter: model._errors, event: 'change'});
+        resubscribeCommand(model, [], deps, notify);
+        return;
+    }
+    let condition = cmd.condition;
+    cmd.condition = function (...args) {
+        let result = dependencies.track(()=> condition.apply(this, args), this);
+        deps = resubscribeCommand(model, deps, result.dependencies, notify);
+        return result.value;
+    };
+};
+
+/*
+ Commands of data context usually depend on the same properties and errors, so data context listens to every
+ dependency once and notify commands depending on it.
+ */
+var resubscribeCommand = function (model, oldDependencies, newDependencies, notify) {
+    let shared = model._commandDependencies || (model._commandDependencies = []);
+    let find = (dep)=> _.find(shared, (entry)=> entry.emitter === dep.emitter && entry.event === dep.event);
+    let contains = (list, dep)=> _.some(list, (d)=> d.emitter === dep.emitter && d.event === dep.event);
+    _.each(oldDependencies, (dep)=> {
+        let entry = find(dep);
+        if (entry != null && !contains(newDependencies, dep)) {
+            _.pull(entry.commands, notify);
+            if (entry.commands.length == 0) {
+                entry.emitter.off(entry.event, entry.listener);
+                _.pull(shared, entry);
+            }
+        }
+    });
+    _.each(newDependencies, (dep)=> {
+        if (contains(oldDependencies, dep)) return;
+        let entry = find(dep);
+        if (entry == null) {
+            entry = {emitter: dep.emitter, event: dep.event, commands: []};
+            entry.listener = ()=> {
+                _.each(_.clone(entry.commands), (fn)=> fn());
+            };
+            entry.emitter.on(entry.event, entry.listener);
+            shared.push(entry);
+        }
+        entry.commands.push(notify);
+    });
+    return newDependencies;
+};
+
 var makeReadonlyProperty = function (name, property) {
     return {
         get() {
+            dependencies.record(this, name);
             var value = property.get.call(this);
             return _.isUndefined(value) ? property.default : value;
         },
@@ -440,16 +1360,103 @@ var makeReadonlyProperty = function (name, property) {
     }
 };
 
+var makeCollectionProperty = function (name, property) {
+    var ivar = "_" + name;
+    return {
+        get() {
+            dependencies.record(this, name);
+            return this[ivar];
+        },
+        set(items) {
+            //collection fire change event by itself
+            this[ivar].reset(items || []);
+        },
+        enumerable: true,
+        configurable: true
+    }
+};
+
+/*
+ Run property validation rules. Data context properties read by rules and 'when' predicates are tracked,
+ property is validated again when any of them is changed.
+ */
+var validateProperty = function (model, name, property) {
+    let check = new Check(model._errors, name, model[name], undefined, model);
+    let result = dependencies.track(()=> {
+        if (property.when != null && !property.when.call(model)) {
+            return;
+        }
+        if (_.isFunction(property.validate)) {
+            property.validate.call(model, check, check.value());
+        } else {
+            check.rules(property.validate);
+        }
+    });
+    let revalidate = model._revalidators[name];
+    if (revalidate == null) {
+        revalidate = model._revalidators[name] = ()=> {
+            if (!model._validating) {
+                model._revalidate(name);
+            }
+        };
+    }
+    //rules change errors by themselves, so errors are not a reason to validate again
+    let dependsOn = _.reject(result.dependencies, (dep)=> {
+        return (dep.emitter === model && dep.event === name) || dep.emitter instanceof Errors;
+    });
+    model._validationDependencies[name] = dependencies.resubscribe(model._validationDependencies[name], dependsOn, revalidate);
+};
+
+/*
+ Coerce new value to property type, store it with 'write' function, run validation rules and fire change event.
+ If value could not be coerced then property is left as is and raw value is kept for 'rawValue'.
+ */
+var assignProperty = function (model, name, property, newValue, oldValue, write) {
+    let errorsChanged = model._raw.hasOwnProperty(name);
+    if (!model._validating) {
+        //value is edited, server errors are not relevant anymore
+        errorsChanged = errorsChanged || _.some(model._errors.messages(name), {source: SERVER_SOURCE});
+        model._errors.clear(name, SERVER_SOURCE);
+    }
+    if (property.validate != null || property.type != null) {
+        //setter might add its own errors, clear them here so declared rules only append
+        //errors of object level validators and server errors are managed separately
+        model._errors.clear(name, (source)=> source == null);
+    }
+    if (property.type != null) {
+        let check = types.coerce(property.type, new Check(model._errors, name, newValue));
+        if (!check.isValid()) {
+            model._raw[name] = newValue;
+            model.firePropertyChange(name, oldValue, oldValue);
+            return;
+        }
+        delete model._raw[name];
+        newValue = check.value();
+    }
+    write(newValue);
+    if (property.validate != null) {
+        validateProperty(model, name, property);
+    }
+    if (errorsChanged) {
+        //errors are changed even if value is the same
+        model.firePropertyChange(name, newValue, oldValue);
+    } else {
+        firePropertyChange(model, name, newValue, oldValue);
+    }
+};
+
 var makeRWProperty = function (name, property) {
     return {
         get () {
+            dependencies.record(this, name);
             var value = property.get.call(this);
             return _.isUndefined(value) ? property.default : value;
         },
         set(newValue){
             var oldValue = property.get.call(this);
-            property.set.call(this, newValue);
-            firePropertyChange(this, name, newValue, oldValue);
+            assignProperty(this, name, property, newValue, oldValue, (value)=> {
+                property.set.call(this, value);
+            });
         },
         enumerable: true,
         configurable: true
@@ -460,13 +1467,15 @@ var makeDefaultRWProperty = function (name, property) {
     var ivar = "_" + name;
     return {
         get() {
+            dependencies.record(this, name);
             var value = this[ivar];
             return _.isUndefined(value) ? property.default : value;
         },
         set(newValue) {
             var oldValue = this[ivar];
-            this[ivar] = newValue;
-            firePropertyChange(this, name, newValue, oldValue);            
+            assignProperty(this, name, property, newValue, oldValue, (value)=> {
+                this[ivar] = value;
+            });
         },
         enumerable: true,
         configurable: true
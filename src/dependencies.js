@@ -0,0 +1,59 @@
+var _ = require('lodash');
+
+//stack of dependency lists collected by functions being tracked at the moment
+var frames = [];
+
+/**
+ * Record that function being tracked depends on 'event' of 'emitter'.
+ * Data context getters call it for every property read.
+ * @param emitter
+ * @param event
+ */
+function record(emitter, event) {
+    let frame = _.last(frames);
+    if (frame != null && !_.find(frame, (dep)=> dep.emitter === emitter && dep.event === event)) {
+        frame.push({emitter: emitter, event: event});
+    }
+}
+
+/**
+ * Run function and collect everything it reads.
+ * @param fn
+ * @param context
+ * @returns {{value: *, dependencies: Array}}
+ */
+function track(fn, context) {
+    let value, dependencies;
+    frames.push([]);
+    try {
+        value = fn.call(context);
+    } finally {
+        dependencies = frames.pop();
+    }
+    return {value: value, dependencies: dependencies};
+}
+
+/**
+ * Move listener from old dependencies to new ones. Dependencies present in both lists are left as is,
+ * so it is safe to call it while one of dependencies is firing an event.
+ * @param oldDependencies
+ * @param newDependencies
+ * @param listener
+ * @returns {Array} new dependencies
+ */
+function resubscribe(oldDependencies, newDependencies, listener) {
+    let contains = (list, dep)=> _.some(list, (d)=> d.emitter === dep.emitter && d.event === dep.event);
+    _.each(oldDependencies, (dep)=> {
+        if (!contains(newDependencies, dep)) dep.emitter.off(dep.event, listener);
+    });
+    _.each(newDependencies, (dep)=> {
+        if (!contains(oldDependencies, dep)) dep.emitter.on(dep.event, listener);
+    });
+    return newDependencies;
+}
+
+module.exports = {
+    record: record,
+    track: track,
+    resubscribe: resubscribe
+};
@@ -1,42 +1,129 @@
 var _ = require('lodash');
 var EventEmitter = require('micro-events');
 var Check = require("./check.js");
+var AppError = require("./apperror.js");
+
+var isBlocking = function (error) {
+    return error.severity == null || error.severity === AppError.ERROR;
+};
+
+//source is a name or predicate function (source) {}, any source matches if it is not given
+var fromSource = function (entry, source) {
+    return source == null || (_.isFunction(source) ? source(entry.source) : entry.source == source);
+};
 
 class Errors extends EventEmitter {
 
     constructor() {
         super();
+        //errors are listened by views, commands and computed properties
+        this.maxListeners = Infinity;
         this._errors = [];
+        this._pending = [];
+        //function (key) returning label used instead of key in messages, see AppError
+        this.labels = null;
     }
 
     add(error) {
+        if (error.label == null && this.labels != null) {
+            error.label = this.labels(error.key);
+        }
         this._errors.push(error);
         return this.emit('change', error.key);
     }
 
-    clear(key) {
-        var old = this._errors;
-        if (key != null) {
-            this._errors = _.filter(this._errors, (err)=> { return err.key != key; });
-        } else {
-            this._errors = [];
+    /**
+     * Messages are resolved in current locale when errors are converted to string.
+     * Call it when locale is changed to let listeners know error messages are changed ('locale' and 'change' events).
+     */
+    localeChanged() {
+        if (this._errors.length > 0) {
+            this.emit('locale');
+            this.emit('change');
         }
-        if (old.length != this._errors.length) {
+    }
+
+    /**
+     * Remove errors and cancel pending checks for a given key. If key is not given then clear everything.
+     * If source is given then only errors added by that source are removed.
+     * @param key
+     * @param source - source name or predicate function (source) {}
+     */
+    clear(key, source) {
+        var old = this._errors;
+        var oldPending = this._pending;
+        var matches = (entry)=> {
+            return (key == null || entry.key == key) && fromSource(entry, source);
+        };
+        this._errors = _.reject(this._errors, matches);
+        this._pending = _.reject(this._pending, matches);
+        _.each(_.difference(oldPending, this._pending), (pending)=> {
+            pending.cancelled = true;
+        });
+        if (old.length != this._errors.length || oldPending.length != this._pending.length) {
             return this.emit('change', key);
         }
     }
 
-    hasErrors(key) {
-        return !this.isValid(key);
+    /**
+     * Track asynchronous check for a given key. When promise is resolved 'callback' receive its result
+     * unless key was cleared in the meantime. 'settled' event is fired when tracked check is complete.
+     * @param key
+     * @param promise
+     * @param callback
+     * @param source
+     * @returns {Promise}
+     */
+    track(key, promise, callback, source) {
+        let pending = {key: key, source: source, cancelled: false};
+        let settle = (result, failed) => {
+            if (!pending.cancelled) {
+                this._pending = _.without(this._pending, pending);
+                if (failed) {
+                    console.warn('Asynchronous check failed', result);
+                } else {
+                    callback(result);
+                }
+                this.emit('change', key);
+                this.emit('settled', key);
+            }
+        };
+        pending.promise = promise.then((result)=> settle(result, false), (e)=> settle(e, true));
+        this._pending.push(pending);
+        this.emit('change', key);
+        return pending.promise;
     }
 
-    isValid(key) {
+    isPending(key) {
         if (key == null) {
-            return this._errors.length == 0;
-        } else {
-            return !(_.find(this._errors, (err)=> { return err.key == key; }));
+            return this._pending.length > 0;
+        }
+        return _.some(this._pending, (pending)=> { return pending.key == key; });
+    }
+
+    /**
+     * @returns {Promise} resolved when there are no pending checks left
+     */
+    settled() {
+        if (this._pending.length == 0) {
+            return Promise.resolve();
         }
+        return Promise.all(_.pluck(this._pending, 'promise')).then(()=> this.settled());
+    }
+
+    hasErrors(key) {
+        return !this.isValid(key);
+    }
 
+    /**
+     * True if there are no blocking errors for a given key. Warnings and info messages are ignored.
+     * @param key
+     * @param source - if given only errors added by this source are considered, name or predicate function (source) {}
+     */
+    isValid(key, source) {
+        return !(_.find(this._errors, (err)=> {
+            return (key == null || err.key == key) && isBlocking(err) && fromSource(err, source);
+        }));
     }
 
     check(key, value) {
@@ -44,12 +131,27 @@ class Errors extends EventEmitter {
         return new Check(this, key, value);
     }
 
+    /**
+     * Return blocking errors for a given key. If key is not given return all blocking errors.
+     * @param key
+     */
     errors(key) {
-        if (key == null) {
-            return _.clone(this._errors);
-        }
+        return this.messages(key, AppError.ERROR);
+    }
+
+    warnings(key) {
+        return this.messages(key, AppError.WARNING);
+    }
+
+    /**
+     * Return errors of given severity for a given key. If severity is not given return all of them.
+     * @param key
+     * @param severity
+     */
+    messages(key, severity) {
         return _.filter(this._errors, (err)=> {
-            return err.key === key;
+            return (key == null || err.key === key) &&
+                (severity == null || (severity === AppError.ERROR ? isBlocking(err) : err.severity === severity));
         });
     }
 }
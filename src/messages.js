@@ -0,0 +1,79 @@
+var _ = require('lodash');
+var EventEmitter = require('micro-events');
+
+/**
+ * Catalog of localized error messages and labels.
+ *
+ * Catalog is an object mapping message codes to sprintf formats. Check rules add errors with stable codes
+ * (ex: 'notNull'), AppError resolve code to text in current locale when converted to string.
+ * If code is not found in current locale then less specific locale ('de' for 'de-AT') and
+ * then fallback locale are tried. English messages for built-in rules are registered by Check.
+ * Ex:
+ * <code>
+ * messages.register('de', {notNull: "%(key)s darf nicht leer sein"});
+ * messages.setLocale('de');
+ * </code>
+ * 'locale' event is fired when locale is changed.
+ */
+class Messages extends EventEmitter {
+
+    constructor() {
+        super();
+        //every data context attached to a view listen to locale changes
+        this.maxListeners = Infinity;
+        this._catalogs = {};
+        this._locale = 'en';
+        this._fallback = 'en';
+    }
+
+    /**
+     * Add messages to locale catalog. Existing messages with same codes are replaced.
+     * @param locale
+     * @param catalog
+     */
+    register(locale, catalog) {
+        this._catalogs[locale] = _.extend(this._catalogs[locale] || {}, catalog);
+        if (_.includes(this._locales(), locale)) {
+            this.emit('locale', this._locale);
+        }
+    }
+
+    get locale() {
+        return this._locale;
+    }
+
+    setLocale(locale) {
+        if (locale !== this._locale) {
+            this._locale = locale;
+            this.emit('locale', locale);
+        }
+    }
+
+    setFallbackLocale(locale) {
+        this._fallback = locale;
+    }
+
+    /**
+     * Return message format for a given code in current locale or undefined if code is unknown.
+     * @param code
+     * @returns {String}
+     */
+    resolve(code) {
+        let catalog = _.find(_.map(this._locales(), (locale)=> this._catalogs[locale]), (catalog)=> {
+            return catalog != null && catalog.hasOwnProperty(code);
+        });
+        return catalog != null ? catalog[code] : undefined;
+    }
+
+    _locales() {
+        let locales = [this._locale];
+        let index = this._locale.indexOf('-');
+        if (index > 0) {
+            locales.push(this._locale.substring(0, index));
+        }
+        locales.push(this._fallback);
+        return locales;
+    }
+}
+
+module.exports = new Messages();
@@ -0,0 +1,91 @@
+var _ = require('lodash');
+
+var types = {
+    integer: 'integer',
+    number: 'number',
+    boolean: 'boolean'
+};
+
+var formats = {
+    'email': 'email',
+    'uri': 'isValidURL',
+    'date-time': 'isoDate',
+    'uuid': 'uuid'
+};
+
+/*
+ Item count rules of array schema. Items of collections are compared by their serialized data.
+ */
+var itemRules = function (schema, itemKey) {
+    let result = {};
+    if (schema.minItems != null) result.minItems = schema.minItems;
+    if (schema.maxItems != null) result.maxItems = schema.maxItems;
+    if (schema.uniqueItems) result.unique = itemKey != null ? [itemKey] : true;
+    return result;
+};
+
+var serializedItem = function (item) {
+    return JSON.stringify(item.toJSON());
+};
+
+/*
+ Build validation rules for a property schema. Rules are applied in order, so 'optional' or 'notNull'
+ go first and stop the chain for empty values.
+ */
+var rules = function (schema, required) {
+    let result = {};
+    if (required) {
+        result[schema.type === 'string' ? 'notEmpty' : 'notNull'] = true;
+    } else {
+        result.optional = true;
+    }
+    if (schema.enum != null) result.oneOf = [schema.enum];
+    //draft-04 use boolean exclusiveMinimum/exclusiveMaximum modifying minimum/maximum
+    if (schema.minimum != null) result[schema.exclusiveMinimum === true ? 'moreThan' : 'moreEqThan'] = schema.minimum;
+    if (schema.maximum != null) result[schema.exclusiveMaximum === true ? 'lessThan' : 'lessEqThan'] = schema.maximum;
+    if (_.isNumber(schema.exclusiveMinimum)) result.moreThan = schema.exclusiveMinimum;
+    if (_.isNumber(schema.exclusiveMaximum)) result.lessThan = schema.exclusiveMaximum;
+    if (schema.minLength != null) result.minLength = schema.minLength;
+    if (schema.maxLength != null) result.maxLength = schema.maxLength;
+    _.extend(result, itemRules(schema));
+    if (schema.pattern != null) result.matches = new RegExp(schema.pattern);
+    if (formats[schema.format] != null) result[formats[schema.format]] = true;
+    return result;
+};
+
+var isObjectSchema = function (schema) {
+    return schema != null && (schema.type === 'object' || (schema.type == null && schema.properties != null));
+};
+
+/**
+ * Convert JSON Schema of an object into data context property definitions.
+ * Nested objects become components, arrays of objects become collections, both are created
+ * as subclasses of 'base' data context. '$ref' and schema composition keywords are not supported.
+ * @param schema
+ * @param base - data context class used for nested objects
+ * @returns {Object} property definitions suitable for DataContext.properties
+ */
+function properties(schema, base) {
+    let required = schema.required || [];
+    return _.mapValues(schema.properties || {}, (property, name)=> {
+        let definition = {};
+        if (property.title != null) definition.label = property.title;
+        if (isObjectSchema(property)) {
+            definition.component = base.fromSchema(property);
+            if (_.includes(required, name)) definition.validate = {notNull: true};
+        } else if (property.type === 'array' && isObjectSchema(property.items)) {
+            definition.collection = base.fromSchema(property.items);
+            let validate = _.extend(_.includes(required, name) ? {notNull: true} : {}, itemRules(property, serializedItem));
+            if (!_.isEmpty(validate)) definition.validate = validate;
+        } else {
+            if (property.default !== undefined) definition.default = property.default;
+            if (types[property.type] != null) definition.type = types[property.type];
+            definition.validate = rules(property, _.includes(required, name));
+        }
+        return definition;
+    });
+}
+
+module.exports = {
+    properties: properties
+};
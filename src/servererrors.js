@@ -0,0 +1,75 @@
+var _ = require('lodash');
+
+/**
+ * Split error path into segments. Understand dotted paths ('address.zip'), array indexes ('lines[0].qty')
+ * and JSON pointers ('/data/attributes/address/zip').
+ * @param path
+ * @returns {Array}
+ */
+function splitPath(path) {
+    if (path == null || path === "") return [];
+    path = String(path);
+    if (path.charAt(0) === '/') {
+        path = path.replace(/^\/data(\/attributes)?/, '');
+        return _.compact(path.split('/'));
+    }
+    return _.compact(path.replace(/\[(\w+)\]/g, '.$1').split('.'));
+}
+
+function parseJsonApi(errors) {
+    return _.map(errors, (error)=> {
+        let pointer = error.source && (error.source.pointer || error.source.parameter);
+        return {path: splitPath(pointer), message: error.detail || error.title};
+    });
+}
+
+function parseProblem(problem) {
+    let params = problem['invalid-params'];
+    if (_.isEmpty(params)) {
+        return [{path: [], message: problem.detail || problem.title}];
+    }
+    return _.map(params, (param)=> {
+        return {path: splitPath(param.name), message: param.reason};
+    });
+}
+
+function parseMap(map, prefix) {
+    return _.flatten(_.map(map, (value, key)=> {
+        let path = prefix.concat(splitPath(key));
+        if (_.isArray(value) && _.every(value, _.isString)) {
+            return _.map(value, (message)=> ({path: path, message: message}));
+        } else if (_.isArray(value)) {
+            //array of nested error maps, one per collection item
+            return _.flatten(_.map(value, (item, index)=> parseMap(item, path.concat(String(index)))));
+        } else if (_.isObject(value)) {
+            return parseMap(value, path);
+        }
+        return [{path: path, message: value}];
+    }));
+}
+
+/**
+ * Convert server validation error payload to list of {path, message} entries. Supported formats are
+ * JSON:API ({errors: [{source: {pointer}, detail}]}), RFC 7807 problem details with 'invalid-params'
+ * and flat (or nested) map of field names to messages.
+ * @param payload
+ * @returns {Array}
+ */
+function parse(payload) {
+    if (payload == null) return [];
+    if (_.isArray(payload.errors) && _.every(payload.errors, _.isPlainObject)) {
+        return parseJsonApi(payload.errors);
+    }
+    if (payload['invalid-params'] != null || (payload.type != null && payload.title != null)) {
+        return parseProblem(payload);
+    }
+    if (_.isPlainObject(payload.errors)) {
+        return parseMap(payload.errors, []);
+    }
+    return parseMap(payload, []);
+}
+
+module.exports = {
+    parse: parse,
+    splitPath: splitPath
+};
@@ -0,0 +1,75 @@
+var _ = require('lodash');
+var messages = require('./messages.js');
+
+messages.register('en', {
+    typeEnum: "%(key)s should be one of %(expected)s",
+    typeObject: "%(key)s should be an object"
+});
+
+/**
+ * Coercion functions for property types. Each one receive checker holding raw value,
+ * replace checker value with coerced one or add error to checker if value could not be coerced.
+ */
+var coercers = {
+    number: (check)=> check.toNumber(),
+    integer: (check)=> check.toInteger(),
+    boolean: (check)=> check.toBoolean(),
+    date: (check)=> check.toDate(),
+    string: (check)=> check.value(String(check.value()))
+};
+
+/**
+ * Coerce checker value to a given type. Type is one of 'number', 'integer', 'boolean', 'date', 'string',
+ * array of allowed values or data context constructor. Empty values (null, undefined and "") are coerced
+ * to null except for 'string' type, required values should be checked by validation rules.
+ * @param type
+ * @param check
+ * @returns {Check}
+ */
+function coerce(type, check) {
+    let value = check.value();
+    if (value == null || (value === "" && type !== 'string')) {
+        check.value(null);
+        return check;
+    }
+    if (_.isArray(type)) {
+        check.failIf(null, (v)=> {
+            if (!_.includes(type, v)) {
+                return {
+                    expected: type.join(", "),
+                    actual: v
+                };
+            }
+        }, 'typeEnum');
+    } else if (_.isFunction(type)) {
+        check.failIf(null, (v)=> {
+            if (v instanceof type) return false;
+            if (!_.isPlainObject(v)) return {actual: v};
+            let model = new type();
+            model.putAll(v);
+            check.value(model);
+        }, 'typeObject');
+    } else if (coercers[type] != null) {
+        coercers[type](check);
+    } else {
+        throw new Error("Unknown property type '" + type + "'");
+    }
+    return check;
+}
+
+/**
+ * @returns {String} type name reported by property 'describe'
+ */
+function typeName(type) {
+    if (_.isArray(type)) {
+        return 'enum';
+    } else if (_.isFunction(type)) {
+        return type.name || 'object';
+    }
+    return type;
+}
+
+module.exports = {
+    coerce: coerce,
+    typeName: typeName
+};
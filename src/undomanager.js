@@ -0,0 +1,208 @@
+var _ = require('lodash');
+var EventEmitter = require('micro-events');
+var Command = require("./command.js");
+
+/**
+ * Record changes of data context writable properties (including properties of components)
+ * and allow to undo and redo them.
+ *
+ * Changes made inside 'group', data context batch or by synchronous part of data context command action
+ * form one undo step. Changes made by asynchronous part of action (after 'await' or in promise callbacks) could
+ * not be told apart from other changes made at the same time, they are recorded as separate steps unless
+ * action wraps them into 'group' or data context batch.
+ * 'undoCommand' and 'redoCommand' are Command instances which could be bound to views as any other command.
+ * Ex:
+ * <code>
+ * let history = new UndoManager(model, {limit: 100});
+ * model.name = 'New name';
+ * history.undo();
+ * </code>
+ * 'change' event is fired when undo or redo stack is changed.
+ */
+class UndoManager extends EventEmitter {
+
+    constructor(model, options) {
+        super();
+        if (!options) options = {};
+        this._model = model;
+        this._limit = options.limit;
+        this._undoStack = [];
+        this._redoStack = [];
+        this._group = null;
+        this._groupDepth = 0;
+        this._applying = false;
+        this._listeners = [];
+        //batch of root model include batches of its components, so changes of components made
+        //inside of it form the same undo step
+        this._listen(model, 'batch', (state)=> {
+            if (state === 'started') {
+                this.begin();
+            } else if (state === 'finished') {
+                this.end();
+            }
+        });
+        this._attach(model);
+        this.undoCommand = new Command({
+            execute: ()=> this.undo(),
+            canExecute: ()=> this.canUndo
+        });
+        this.redoCommand = new Command({
+            execute: ()=> this.redo(),
+            canExecute: ()=> this.canRedo
+        });
+    }
+
+    get canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    /**
+     * Start undo step. All changes until matching 'end' call are undone at once. Calls could be nested.
+     */
+    begin() {
+        if (this._groupDepth++ == 0) {
+            this._group = [];
+        }
+    }
+
+    /**
+     * Finish undo step started by 'begin'.
+     */
+    end() {
+        if (this._groupDepth == 0) throw new Error("UndoManager.end called without matching begin");
+        if (--this._groupDepth == 0) {
+            let group = this._group;
+            this._group = null;
+            this._push(group);
+        }
+    }
+
+    /**
+     * Run function and record all changes it makes as single undo step.
+     * @param fn
+     * @returns {*} function result
+     */
+    group(fn) {
+        this.begin();
+        try {
+            return fn();
+        } finally {
+            this.end();
+        }
+    }
+
+    undo() {
+        let step = this._undoStack.pop();
+        if (step != null) {
+            this._apply(_.map(step.slice().reverse(), (change)=> {
+                return {model: change.model, name: change.name, value: change.oldValue};
+            }));
+            this._redoStack.push(step);
+            this._changed();
+        }
+    }
+
+    redo() {
+        let step = this._redoStack.pop();
+        if (step != null) {
+            this._apply(_.map(step, (change)=> {
+                return {model: change.model, name: change.name, value: change.newValue};
+            }));
+            this._undoStack.push(step);
+            this._changed();
+        }
+    }
+
+    /**
+     * Forget all recorded changes.
+     */
+    clear() {
+        this._undoStack = [];
+        this._redoStack = [];
+        this._changed();
+    }
+
+    /**
+     * Stop recording changes.
+     */
+    detach() {
+        _.each(this._listeners, (listener)=> {
+            listener.emitter.off(listener.event, listener.fn);
+        });
+        this._listeners = [];
+    }
+
+    _attach(model) {
+        _.each(model.properties(), (property, name)=> {
+            if (property.command != null) {
+                this._listen(model[name], 'execute', (state)=> {
+                    if (state === 'started') {
+                        this.begin();
+                    } else if (state === 'invoked') {
+                        this.end();
+                    }
+                });
+            } else if (property.component != null) {
+                this._attach(model[name]);
+            }
+        });
+        this._listen(model, 'change', (names, changes)=> {
+            this._record(_.compact(_.map(names, (name)=> {
+                let property = model.property(name);
+                if (property != null && property.writable && property.component == null && property.collection == null) {
+                    return {model: model, name: name, oldValue: changes[name].oldValue, newValue: changes[name].newValue};
+                }
+            })));
+        });
+    }
+
+    _listen(emitter, event, fn) {
+        emitter.on(event, fn);
+        this._listeners.push({emitter: emitter, event: event, fn: fn});
+    }
+
+    _record(changes) {
+        if (this._applying) return;
+        changes = _.filter(changes, (change)=> change.oldValue !== change.newValue);
+        if (this._group != null) {
+            this._group.push(...changes);
+        } else {
+            this._push(changes);
+        }
+    }
+
+    _push(step) {
+        if (step.length == 0) return;
+        this._undoStack.push(step);
+        if (this._limit != null && this._undoStack.length > this._limit) {
+            this._undoStack.shift();
+        }
+        this._redoStack = [];
+        this._changed();
+    }
+
+    _apply(changes) {
+        try {
+            this._applying = true;
+            this._model.batch(()=> {
+                _.each(changes, (change)=> {
+                    change.model[change.name] = change.value;
+                });
+            });
+        } finally {
+            this._applying = false;
+        }
+    }
+
+    _changed() {
+        this.undoCommand.notifyCanExecute();
+        this.redoCommand.notifyCanExecute();
+        this.emit('change');
+    }
+}
+
+module.exports = UndoManager;